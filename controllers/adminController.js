@@ -4,27 +4,35 @@ const Transaction = require('../models/Transaction')
 const User = require('../models/User')
 const AdminSettings = require('../models/AdminSettings') // Add this import
 const Audit = require('../models/Audit')
+const AccrualSnapshot = require('../models/AccrualSnapshot')
 const { sendMail, sendAdminNotification } = require('../utils/email')
-const { rateForAmount } = require('../utils/calcProfit') // used to infer rate when plan not provided
+const { rateForAmount, addCalendarDays, profitForDeposit } = require('../utils/calcProfit') // rateForAmount infers rate when plan not provided
+const ledger = require('../utils/ledger')
+const { reconcileAll } = require('../utils/reconciliation')
+const { ensureCalendarLoaded, loadCalendar } = require('../utils/calendar')
+const { isValidTimeZone } = require('../utils/timezone')
+const { validateLimitsInput, getWithdrawalLimits } = require('../utils/withdrawalLimits')
+const { TIME_RE } = require('../utils/withdrawalSchedule')
+
+// Deepest referral level that can earn commission (see creditReferralCommissions)
+const MAX_REFERRAL_LEVELS = 3
 
 // Helper to deduct a withdrawal amount from user's netProfit then referralEarnings
-// Accepts optional mongoose session to make saves transactional
-async function deductFromUser(user, amount, session = null) {
-  let net = Number(user.netProfit || 0)
-  let ref = Number(user.referralEarnings || 0)
+// Posts the debit to the ledger; accepts optional mongoose session to make saves transactional
+async function deductFromUser(user, amount, session = null, tx = null, admin = null) {
+  await ledger.syncBalances(user, session)
   let remaining = Number(amount)
 
-  const fromNet = Math.min(net, remaining)
-  net -= fromNet
+  const fromNet = Math.min(Number(user.netProfit || 0), remaining)
   remaining -= fromNet
 
-  const fromRef = Math.min(ref, remaining)
-  ref -= fromRef
+  const fromRef = Math.min(Number(user.referralEarnings || 0), remaining)
   remaining -= fromRef
 
-  // Persist
-  user.netProfit = Number(net.toFixed(2))
-  user.referralEarnings = Number(ref.toFixed(2))
+  await ledger.recordWithdrawal(user, { fromNet, fromRef }, {
+    transaction: tx ? tx._id : undefined,
+    createdBy: admin ? admin._id : undefined
+  }, session)
 
   if (session) {
     await user.save({ session })
@@ -32,7 +40,13 @@ async function deductFromUser(user, amount, session = null) {
     await user.save()
   }
 
-  return { netAfter: user.netProfit, refAfter: user.referralEarnings, shortfall: Number(remaining.toFixed(2)) }
+  return {
+    netAfter: user.netProfit,
+    refAfter: user.referralEarnings,
+    fromNet: Number(fromNet.toFixed(2)),
+    fromRef: Number(fromRef.toFixed(2)),
+    shortfall: Number(remaining.toFixed(2))
+  }
 }
 
 // New function: Bulk update user withdrawal restrictions
@@ -74,9 +88,47 @@ exports.bulkUpdateWithdrawalRestriction = async (req, res, next) => {
 // New function: Update withdrawal schedule settings
 exports.updateWithdrawalSettings = async (req, res, next) => {
   try {
-    const { scheduleType, daysOfWeek, intervalDays } = req.body
+    const { scheduleType, daysOfWeek, intervalDays, earlyTerminationPenaltyPercent, withdrawalHours, blackoutDates, paused, pausedMessage, beneficiaryCoolingOffHours, dualApprovalThreshold } = req.body
     const admin = req.user
 
+    // withdrawalHours: { start: 'HH:MM', end: 'HH:MM' } or null for the whole day
+    if (withdrawalHours) {
+      const start = withdrawalHours.start || null
+      const end = withdrawalHours.end || null
+      if ((start && !TIME_RE.test(start)) || (end && !TIME_RE.test(end))) {
+        return res.status(400).json({ message: 'withdrawalHours start/end must be HH:MM (24-hour)' })
+      }
+      if (start && end && end <= start) return res.status(400).json({ message: 'withdrawalHours end must be after start' })
+    }
+    // blackoutDates: [{ date: 'YYYY-MM-DD', reason }] replaces the list
+    if (blackoutDates !== undefined) {
+      if (!Array.isArray(blackoutDates) || blackoutDates.some(b => !b || !/^\d{4}-\d{2}-\d{2}$/.test(b.date))) {
+        return res.status(400).json({ message: 'blackoutDates must be a list of { date: YYYY-MM-DD, reason }' })
+      }
+    }
+
+    if (earlyTerminationPenaltyPercent !== undefined) {
+      const pct = Number(earlyTerminationPenaltyPercent)
+      if (Number.isNaN(pct) || pct < 0 || pct > 100) {
+        return res.status(400).json({ message: 'earlyTerminationPenaltyPercent must be between 0 and 100' })
+      }
+    }
+
+    if (beneficiaryCoolingOffHours !== undefined) {
+      const hours = Number(beneficiaryCoolingOffHours)
+      if (Number.isNaN(hours) || hours < 0) {
+        return res.status(400).json({ message: 'beneficiaryCoolingOffHours must be a non-negative number' })
+      }
+    }
+
+    // dualApprovalThreshold: withdrawals above this USD amount need two admins; null turns it off
+    if (dualApprovalThreshold !== undefined && dualApprovalThreshold !== null && dualApprovalThreshold !== '') {
+      const threshold = Number(dualApprovalThreshold)
+      if (Number.isNaN(threshold) || threshold < 0) {
+        return res.status(400).json({ message: 'dualApprovalThreshold must be a non-negative number or null' })
+      }
+    }
+
     const settings = await AdminSettings.getSettings()
     
     if (scheduleType === 'daysOfWeek') {
@@ -88,6 +140,27 @@ exports.updateWithdrawalSettings = async (req, res, next) => {
       settings.withdrawalIntervalDays = Math.max(1, parseInt(intervalDays) || 1)
       settings.withdrawalDaysOfWeek = []
     }
+    if (earlyTerminationPenaltyPercent !== undefined) {
+      settings.earlyTerminationPenaltyPercent = Number(earlyTerminationPenaltyPercent)
+    }
+    if (withdrawalHours !== undefined) {
+      settings.withdrawalHours = withdrawalHours
+        ? { start: withdrawalHours.start || null, end: withdrawalHours.end || null }
+        : { start: null, end: null }
+    }
+    if (blackoutDates !== undefined) {
+      settings.withdrawalBlackoutDates = blackoutDates
+        .map(b => ({ date: b.date, reason: String(b.reason || '').trim() }))
+        .sort((a, b) => a.date.localeCompare(b.date))
+    }
+    if (beneficiaryCoolingOffHours !== undefined) {
+      settings.beneficiaryCoolingOffHours = Number(beneficiaryCoolingOffHours)
+    }
+    if (dualApprovalThreshold !== undefined) {
+      settings.dualApprovalThreshold = dualApprovalThreshold === null || dualApprovalThreshold === '' ? null : Number(dualApprovalThreshold)
+    }
+    if (paused !== undefined) settings.withdrawalsPaused = Boolean(paused)
+    if (pausedMessage !== undefined) settings.withdrawalsPausedMessage = String(pausedMessage || '').trim()
 
     settings.lastUpdated = new Date()
     settings.updatedBy = admin._id
@@ -100,7 +173,14 @@ exports.updateWithdrawalSettings = async (req, res, next) => {
       meta: { 
         scheduleType: settings.withdrawalScheduleType,
         daysOfWeek: settings.withdrawalDaysOfWeek,
-        intervalDays: settings.withdrawalIntervalDays
+        intervalDays: settings.withdrawalIntervalDays,
+        withdrawalHours: settings.withdrawalHours,
+        blackoutDates: settings.withdrawalBlackoutDates,
+        paused: settings.withdrawalsPaused,
+        pausedMessage: settings.withdrawalsPausedMessage,
+        earlyTerminationPenaltyPercent: settings.earlyTerminationPenaltyPercent,
+        beneficiaryCoolingOffHours: settings.beneficiaryCoolingOffHours,
+        dualApprovalThreshold: settings.dualApprovalThreshold
       } 
     })
 
@@ -110,6 +190,13 @@ exports.updateWithdrawalSettings = async (req, res, next) => {
         withdrawalScheduleType: settings.withdrawalScheduleType,
         withdrawalDaysOfWeek: settings.withdrawalDaysOfWeek,
         withdrawalIntervalDays: settings.withdrawalIntervalDays,
+        withdrawalHours: settings.withdrawalHours,
+        withdrawalBlackoutDates: settings.withdrawalBlackoutDates,
+        withdrawalsPaused: settings.withdrawalsPaused,
+        withdrawalsPausedMessage: settings.withdrawalsPausedMessage,
+        earlyTerminationPenaltyPercent: settings.earlyTerminationPenaltyPercent,
+        beneficiaryCoolingOffHours: settings.beneficiaryCoolingOffHours,
+        dualApprovalThreshold: settings.dualApprovalThreshold,
         lastUpdated: settings.lastUpdated
       }
     })
@@ -124,10 +211,135 @@ exports.getWithdrawalSettings = async (req, res, next) => {
   } catch (err) { next(err) }
 }
 
+// Withdrawal limits per role: { user: { minAmount, maxAmount, dailyCap, weeklyCap, monthlyCap }, agent: {...} }
+exports.getWithdrawalLimits = async (req, res, next) => {
+  try {
+    const settings = await AdminSettings.getSettings()
+    res.json({ withdrawalLimits: settings.withdrawalLimits })
+  } catch (err) { next(err) }
+}
+
+// body: { user: {...}, agent: {...} } - only the fields sent change; null removes a limit
+exports.updateWithdrawalLimits = async (req, res, next) => {
+  try {
+    const settings = await AdminSettings.getSettings()
+    const changes = {}
+    for (const role of ['user', 'agent']) {
+      if (req.body[role] === undefined) continue
+      const { limits, error } = validateLimitsInput(req.body[role])
+      if (error) return res.status(400).json({ message: `${role}: ${error}` })
+      const merged = { ...settings.withdrawalLimits[role].toObject(), ...limits }
+      const { error: rangeError } = validateLimitsInput(merged)
+      if (rangeError) return res.status(400).json({ message: `${role}: ${rangeError}` })
+      settings.withdrawalLimits[role] = merged
+      changes[role] = limits
+    }
+
+    settings.lastUpdated = new Date()
+    settings.updatedBy = req.user._id
+    await settings.save()
+
+    await Audit.create({ admin: req.user._id, action: 'update-withdrawal-limits', meta: { changes } })
+    res.json({ message: 'Withdrawal limits updated', withdrawalLimits: settings.withdrawalLimits })
+  } catch (err) { next(err) }
+}
+
+// PUT /api/admin/user/:id/withdrawal-limits - per-user overrides; null falls back to the role's limit
+exports.updateUserWithdrawalLimits = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'User not found' })
+    const user = await User.findById(req.params.id)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const { limits, error } = validateLimitsInput(req.body)
+    if (error) return res.status(400).json({ message: error })
+    const merged = { ...(user.withdrawalLimits ? user.withdrawalLimits.toObject() : {}), ...limits }
+    const { error: rangeError } = validateLimitsInput(merged)
+    if (rangeError) return res.status(400).json({ message: rangeError })
+
+    user.withdrawalLimits = merged
+    await user.save()
+
+    await Audit.create({ admin: req.user._id, action: 'update-user-withdrawal-limits', meta: { userId: user._id, limits } })
+    res.json({ message: 'User withdrawal limits updated', overrides: user.withdrawalLimits, effective: await getWithdrawalLimits(user) })
+  } catch (err) { next(err) }
+}
+
+// Referral commission tiers (level 1..MAX_REFERRAL_LEVELS) and first-deposit-only vs every-deposit
+exports.getReferralSettings = async (req, res, next) => {
+  try {
+    const settings = await AdminSettings.getSettings()
+    res.json({ referralTiers: settings.referralTiers, referralCommissionMode: settings.referralCommissionMode, maxLevels: MAX_REFERRAL_LEVELS })
+  } catch (err) { next(err) }
+}
+
+// body: { referralTiers: [{ level, percent, capPerDeposit }], referralCommissionMode }
+exports.updateReferralSettings = async (req, res, next) => {
+  try {
+    const { referralTiers, referralCommissionMode } = req.body || {}
+    const settings = await AdminSettings.getSettings()
+
+    if (referralTiers !== undefined) {
+      if (!Array.isArray(referralTiers)) return res.status(400).json({ message: 'referralTiers must be an array' })
+      const tiers = []
+      for (const t of referralTiers) {
+        const level = Number(t && t.level)
+        const percent = Number(t && t.percent)
+        const cap = (t.capPerDeposit === undefined || t.capPerDeposit === null || t.capPerDeposit === '') ? null : Number(t.capPerDeposit)
+        if (!Number.isInteger(level) || level < 1 || level > MAX_REFERRAL_LEVELS) {
+          return res.status(400).json({ message: `Tier level must be a whole number from 1 to ${MAX_REFERRAL_LEVELS}` })
+        }
+        if (tiers.some(x => x.level === level)) return res.status(400).json({ message: `Duplicate tier level ${level}` })
+        if (Number.isNaN(percent) || percent < 0 || percent > 100) return res.status(400).json({ message: 'Tier percent must be between 0 and 100' })
+        if (cap !== null && (Number.isNaN(cap) || cap < 0)) return res.status(400).json({ message: 'capPerDeposit must be a non-negative number or null' })
+        tiers.push({ level, percent, capPerDeposit: cap })
+      }
+      settings.referralTiers = tiers.sort((a, b) => a.level - b.level)
+    }
+
+    if (referralCommissionMode !== undefined) {
+      if (!['every-deposit', 'first-deposit'].includes(referralCommissionMode)) {
+        return res.status(400).json({ message: 'referralCommissionMode must be every-deposit or first-deposit' })
+      }
+      settings.referralCommissionMode = referralCommissionMode
+    }
+
+    settings.lastUpdated = new Date()
+    settings.updatedBy = req.user._id
+    await settings.save()
+
+    await Audit.create({
+      admin: req.user._id,
+      action: 'update-referral-settings',
+      meta: { referralTiers: settings.referralTiers, referralCommissionMode: settings.referralCommissionMode }
+    })
+    res.json({ message: 'Referral settings updated', referralTiers: settings.referralTiers, referralCommissionMode: settings.referralCommissionMode })
+  } catch (err) { next(err) }
+}
+
+// Update the platform timezone used for accrual day boundaries and the withdrawal schedule
+exports.updateTimezone = async (req, res, next) => {
+  try {
+    const { timezone } = req.body || {}
+    if (!isValidTimeZone(timezone)) return res.status(400).json({ message: 'Invalid timezone (use an IANA name such as Africa/Johannesburg)' })
+
+    const settings = await AdminSettings.getSettings()
+    const previous = settings.timezone
+    settings.timezone = timezone
+    settings.lastUpdated = new Date()
+    settings.updatedBy = req.user._id
+    await settings.save()
+    await loadCalendar()
+
+    await Audit.create({ admin: req.user._id, action: 'update-timezone', meta: { from: previous, to: timezone } })
+    res.json({ message: 'Timezone updated', timezone: settings.timezone })
+  } catch (err) { next(err) }
+}
+
 /* ======= Requests listing / approve / reject (deposit & withdraw) ======= */
 exports.listWithdraws = async (req, res, next) => {
   try {
-    const status = req.query.status || 'pending'
+    const status = req.query.status || { $in: ['pending', 'awaiting_second_approval'] }
     const withdraws = await Transaction.find({ type: 'withdraw', status }).populate('user', 'email firstName lastName capital netProfit referralEarnings')
     res.json({ withdraws })
   } catch (err) { next(err) }
@@ -155,6 +367,7 @@ exports.history = async (req, res, next) => {
  * listRequests
  * Return pending requests (or filtered by query) - returns { deposits: [], withdrawals: [] }
  * Supports query: q (name/email), from, to, type (deposit|withdrawal|all), status (default pending)
+ * Requests the user cancelled only show up with status=cancelled.
  */
 exports.listRequests = async (req, res, next) => {
   try {
@@ -162,7 +375,8 @@ exports.listRequests = async (req, res, next) => {
     const from = req.query.from
     const to = req.query.to
     const type = req.query.type
-    const status = req.query.status || 'pending'
+    // by default: everything still waiting on an admin, including withdrawals that need a second approval
+    const status = req.query.status || { $in: ['pending', 'awaiting_second_approval'] }
 
     const baseMatch = { status }
 
@@ -176,7 +390,7 @@ exports.listRequests = async (req, res, next) => {
       }).select('_id')
       const ids = users.map(u => u._id)
       if (ids.length === 0) {
-        return res.json({ deposits: [], withdrawals: [] })
+        return res.json({ deposits: [], withdrawals: [], terminations: [] })
       }
       baseMatch.user = { $in: ids }
     }
@@ -193,21 +407,27 @@ exports.listRequests = async (req, res, next) => {
 
     const depositMatch = { ...baseMatch, type: 'deposit' }
     const withdrawMatch = { ...baseMatch, type: 'withdraw' }
+    const terminationMatch = { ...baseMatch, type: 'early-termination' }
 
     if (type && type !== 'all') {
       if (type === 'deposit') {
         const deposits = await Transaction.find(depositMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
-        return res.json({ deposits, withdrawals: [] })
+        return res.json({ deposits, withdrawals: [], terminations: [] })
       }
       if (type === 'withdraw' || type === 'withdrawal') {
         const withdrawals = await Transaction.find(withdrawMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
-        return res.json({ deposits: [], withdrawals })
+        return res.json({ deposits: [], withdrawals, terminations: [] })
+      }
+      if (type === 'early-termination') {
+        const terminations = await Transaction.find(terminationMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
+        return res.json({ deposits: [], withdrawals: [], terminations })
       }
     }
 
     const deposits = await Transaction.find(depositMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
     const withdrawals = await Transaction.find(withdrawMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
-    res.json({ deposits, withdrawals })
+    const terminations = await Transaction.find(terminationMatch).sort({ createdAt: -1 }).limit(200).populate('user', 'email firstName lastName capital netProfit referralEarnings')
+    res.json({ deposits, withdrawals, terminations })
   } catch (err) { next(err) }
 }
 
@@ -221,6 +441,7 @@ exports.approveRequest = async (req, res, next) => {
     if (!tx) return res.status(404).json({ message: 'Request not found' })
     if (tx.type === 'deposit') return exports.approveDeposit(req, res, next)
     if (tx.type === 'withdraw') return exports.approveWithdraw(req, res, next)
+    if (tx.type === 'early-termination') return exports.approveEarlyTermination(req, res, next)
     return res.status(400).json({ message: 'Unsupported transaction type' })
   } catch (err) { next(err) }
 }
@@ -232,6 +453,7 @@ exports.rejectRequest = async (req, res, next) => {
     if (!tx) return res.status(404).json({ message: 'Request not found' })
     if (tx.type === 'deposit') return exports.rejectDeposit(req, res, next)
     if (tx.type === 'withdraw') return exports.rejectWithdraw(req, res, next)
+    if (tx.type === 'early-termination') return exports.rejectEarlyTermination(req, res, next)
     return res.status(400).json({ message: 'Unsupported transaction type' })
   } catch (err) { next(err) }
 }
@@ -247,45 +469,103 @@ exports.approveWithdraw = async (req, res, next) => {
     let txDoc = null
     let updatedUser = null
     let auditEntry = null
+    let awaitingSecond = false
 
     // Use a transaction so user balance update + transaction update are atomic
     await session.withTransaction(async () => {
+      awaitingSecond = false
       const tx = await Transaction.findById(id).session(session)
       if (!tx || tx.type !== 'withdraw') {
         const e = new Error('Withdraw request not found')
-        e.code = 404
+        e.statusCode = 404
         throw e
       }
-      if (tx.status !== 'pending') {
+      if (tx.status !== 'pending' && tx.status !== 'awaiting_second_approval') {
         const e = new Error('Request already processed')
-        e.code = 400
+        e.statusCode = 400
+        throw e
+      }
+
+      // maker-checker: the second approval must come from another admin, for the amount the first one approved
+      const firstApproval = tx.status === 'awaiting_second_approval' ? (tx.details || {}).firstApproval : null
+      if (firstApproval) {
+        if (String(firstApproval.admin) === String(admin._id)) {
+          const e = new Error('You already approved this withdrawal; a second admin must approve it')
+          e.statusCode = 403
+          throw e
+        }
+        if (approvedAmount !== undefined && Number(approvedAmount) !== Number(firstApproval.approvedAmount)) {
+          const e = new Error(`The second approval must be for the amount approved first (${firstApproval.approvedAmount})`)
+          e.statusCode = 400
+          throw e
+        }
+      }
+      const approveAmt = firstApproval ? Number(firstApproval.approvedAmount) : Number(approvedAmount ?? tx.amount)
+      if (Number.isNaN(approveAmt) || approveAmt <= 0) {
+        const e = new Error('Invalid approved amount')
+        e.statusCode = 400
         throw e
       }
 
       const user = await User.findById(tx.user).session(session)
       if (!user) {
         const e = new Error('User not found')
-        e.code = 404
+        e.statusCode = 404
         throw e
       }
 
+      const settings = await AdminSettings.getSettings()
+      const threshold = settings.dualApprovalThreshold
+      if (!firstApproval && threshold !== null && threshold !== undefined && approveAmt > threshold) {
+        // first of two approvals: nothing is debited yet and the request keeps its hold
+        await ledger.syncBalances(user, session)
+        const hold = (tx.details || {}).hold || {}
+        const available = Number(user.netProfit || 0) + Number(user.referralEarnings || 0) + Number(hold.fromNet || 0) + Number(hold.fromRef || 0)
+        if (approveAmt > available) {
+          const e = new Error('Approved amount exceeds available withdrawal balance')
+          e.statusCode = 400
+          throw e
+        }
+
+        tx.status = 'awaiting_second_approval'
+        tx.updatedAt = new Date()
+        tx.adminRemarks = `First approval by ${admin.email}; awaiting a second admin`
+        tx.details = { ...(tx.details || {}), firstApproval: { admin: admin._id, email: admin.email, approvedAmount: approveAmt, approvedAt: new Date() } }
+        tx.markModified('details')
+        await tx.save({ session })
+
+        auditEntry = await new Audit({
+          admin: admin._id,
+          action: 'approve-withdraw-first',
+          meta: { txId: tx._id, approvedAmount: approveAmt, threshold }
+        }).save({ session })
+
+        txDoc = tx
+        awaitingSecond = true
+        return
+      }
+
+      // the request's hold goes back first; the withdrawal below then debits the approved amount
+      await ledger.releaseWithdrawalHold(user, tx._id, { createdBy: admin._id, memo: 'Withdrawal approved' }, session)
       const available = Number(user.netProfit || 0) + Number(user.referralEarnings || 0)
-      const approveAmt = Number(approvedAmount ?? tx.amount)
       if (approveAmt > available) {
         const e = new Error('Approved amount exceeds available withdrawal balance')
-        e.code = 400
+        e.statusCode = 400
         throw e
       }
 
       // Deduct from user balances under session
-      const result = await deductFromUser(user, approveAmt, session)
+      const result = await deductFromUser(user, approveAmt, session, tx, admin)
 
       // update tx
       tx.status = 'approved'
+      tx.payoutStatus = 'unpaid' // queued for the next payout batch
       tx.updatedAt = new Date()
-      tx.adminRemarks = `Approved by ${admin.email}`
-      tx.details = tx.details || {}
+      tx.adminRemarks = firstApproval ? `Approved by ${firstApproval.email} and ${admin.email}` : `Approved by ${admin.email}`
+      tx.details = { ...(tx.details || {}) }
       tx.details.approvedAmount = approveAmt
+      if (firstApproval) tx.details.secondApproval = { admin: admin._id, email: admin.email, approvedAt: new Date() }
+      tx.details.approvedBreakdown = { fromNet: result.fromNet, fromRef: result.fromRef }
       tx.details.approvedSnapshot = {
         capital: Number(user.capital || 0),
         netProfit: Number(user.netProfit || 0),
@@ -293,6 +573,7 @@ exports.approveWithdraw = async (req, res, next) => {
         totalPortfolio: Number(user.capital || 0) + Number(user.netProfit || 0) + Number(user.referralEarnings || 0),
         approvedAt: new Date()
       }
+      tx.markModified('details')
 
       await tx.save({ session })
 
@@ -300,7 +581,7 @@ exports.approveWithdraw = async (req, res, next) => {
       auditEntry = await new Audit({
         admin: admin._id,
         action: 'approve-withdraw',
-        meta: { txId: tx._id, approvedAmount: approveAmt, result }
+        meta: { txId: tx._id, approvedAmount: approveAmt, result, firstApprovalBy: firstApproval ? firstApproval.admin : undefined }
       }).save({ session })
 
       // retain relevant objects to use after commit
@@ -310,6 +591,19 @@ exports.approveWithdraw = async (req, res, next) => {
 
     session.endSession()
 
+    if (awaitingSecond) {
+      try {
+        await sendAdminNotification({
+          subject: `Withdrawal awaiting second approval — ${txDoc._id} — ${txDoc.details.firstApproval.approvedAmount}`,
+          html: `<p>A withdrawal above the dual-approval threshold was approved by ${admin.email}.</p>
+                 <p>Amount: ${txDoc.details.firstApproval.approvedAmount}</p>
+                 <p>Another admin must approve it before the funds are debited.</p>
+                 <p>Transaction id: ${txDoc._id}</p>`
+        })
+      } catch (err) { console.warn('admin notify (first approval) failed', err.message || err) }
+      return res.json({ message: 'First approval recorded; a second admin must approve this withdrawal', tx: txDoc })
+    }
+
     // After commit: send emails / admin notification (outside transaction)
     try {
       if (updatedUser) {
@@ -349,65 +643,209 @@ exports.approveWithdraw = async (req, res, next) => {
     res.json({ message: 'Withdraw approved' })
   } catch (err) {
     try { session.endSession() } catch (e) {}
-    if (err && err.code) return res.status(err.code).json({ message: err.message })
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
     next(err)
   }
 }
 
 /* ----- reject withdraw ----- */
 exports.rejectWithdraw = async (req, res, next) => {
+  const session = await mongoose.startSession()
   try {
     const id = req.params.id
     const { reason } = req.body || {}
     const admin = req.user
 
-    const tx = await Transaction.findById(id)
-    if (!tx || tx.type !== 'withdraw') return res.status(404).json({ message: 'Withdraw request not found' })
-    if (tx.status !== 'pending') return res.status(400).json({ message: 'Request already processed' })
+    let txDoc = null
+    // marking the request rejected and releasing its hold happen together
+    await session.withTransaction(async () => {
+      const tx = await Transaction.findById(id).session(session)
+      if (!tx || tx.type !== 'withdraw') {
+        const e = new Error('Withdraw request not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (tx.status !== 'pending' && tx.status !== 'awaiting_second_approval') {
+        const e = new Error('Request already processed')
+        e.statusCode = 400
+        throw e
+      }
 
-    tx.status = 'rejected'
-    tx.updatedAt = new Date()
-    tx.adminRemarks = reason || `Rejected by ${admin.email}`
-    await tx.save()
+      const user = await User.findById(tx.user).session(session)
+      if (user) {
+        await ledger.releaseWithdrawalHold(user, tx._id, { createdBy: admin._id, memo: 'Withdrawal rejected' }, session)
+        await user.save({ session })
+      }
+
+      tx.status = 'rejected'
+      tx.updatedAt = new Date()
+      tx.adminRemarks = reason || `Rejected by ${admin.email}`
+      await tx.save({ session })
 
-    await Audit.create({ admin: admin._id, action: 'reject-withdraw', meta: { txId: tx._id, reason } })
+      await new Audit({ admin: admin._id, action: 'reject-withdraw', meta: { txId: tx._id, reason } }).save({ session })
+      txDoc = tx
+    })
+    session.endSession()
 
     try {
-      const user = await User.findById(tx.user)
+      const user = await User.findById(txDoc.user)
       await sendMail({ to: user.email, subject: `Withdrawal rejected`, html: `<p>Your withdrawal request was rejected. Reason: ${reason || 'No reason provided'}</p>` })
     } catch (err) { console.warn('notify user withdraw reject err', err.message || err) }
 
     try {
       await sendAdminNotification({
-        subject: `Withdrawal rejected — ${tx.user} — ${tx._id}`,
-        html: `<p>Withdrawal request rejected</p><p>TX ID: ${tx._id}</p><p>Reason: ${reason || 'No reason'}</p><p>Processed by: ${admin.email}</p>`
+        subject: `Withdrawal rejected — ${txDoc.user} — ${txDoc._id}`,
+        html: `<p>Withdrawal request rejected</p><p>TX ID: ${txDoc._id}</p><p>Reason: ${reason || 'No reason'}</p><p>Processed by: ${admin.email}</p>`
       })
     } catch (err) { console.warn('admin notify (reject withdraw) failed', err.message || err) }
 
     res.json({ message: 'Withdraw rejected' })
-  } catch (err) { next(err) }
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+// Referrer of `user`: explicit referredBy, otherwise the user whose referrals snapshot lists them
+async function findReferrer(user, session) {
+  let referrer = null
+  if (user.referredBy) {
+    referrer = await User.findById(user.referredBy).session(session)
+  }
+  if (!referrer) {
+    referrer = await User.findOne({ 'referrals.user': user._id }).session(session)
+  }
+  return referrer
+}
+
+// Credit the referral chain of `user` with commission on an approved deposit of `amt`, following the
+// tiers in AdminSettings. Every commission gets its own `referral-commission` Transaction (owned by the
+// referrer) pointing at the deposit. Runs inside the approval session; returns [{ referrer, level, commission, transaction }].
+async function creditReferralCommissions(user, amt, tx, admin, session) {
+  const settings = await AdminSettings.getSettings()
+  const tiers = (settings.referralTiers || [])
+    .filter(t => t.level >= 1 && t.level <= MAX_REFERRAL_LEVELS && Number(t.percent) > 0)
+    .sort((a, b) => a.level - b.level)
+  if (tiers.length === 0) return []
+
+  if (settings.referralCommissionMode === 'first-deposit') {
+    const earlier = await Transaction.exists({ user: user._id, type: 'deposit', status: 'approved', _id: { $ne: tx._id } }).session(session)
+    if (earlier) return []
+  }
+
+  const credited = []
+  const seen = new Set([user._id.toString()])
+  let current = user
+  const deepest = tiers[tiers.length - 1].level
+  for (let level = 1; level <= deepest; level++) {
+    const referrer = await findReferrer(current, session)
+    // stop at the top of the chain, and never loop back into it
+    if (!referrer || seen.has(referrer._id.toString())) break
+    seen.add(referrer._id.toString())
+    current = referrer
+
+    const tier = tiers.find(t => t.level === level)
+    if (!tier) continue
+
+    let commission = Number((amt * Number(tier.percent) / 100).toFixed(2))
+    const capped = tier.capPerDeposit !== null && tier.capPerDeposit !== undefined && commission > tier.capPerDeposit
+    if (capped) commission = Number(Number(tier.capPerDeposit).toFixed(2))
+    if (commission <= 0) continue
+
+    const [commissionTx] = await Transaction.create([{
+      user: referrer._id,
+      type: 'referral-commission',
+      amount: commission,
+      method: 'referral',
+      details: {
+        level,
+        percent: Number(tier.percent),
+        capped,
+        depositTransaction: tx._id,
+        depositAmount: amt,
+        sourceUser: user._id,
+        sourceEmail: user.email
+      },
+      status: 'approved',
+      adminRemarks: `Level ${level} commission on deposit by ${user.email}`
+    }], { session })
+
+    await ledger.recordReferralCommission(referrer, commission, {
+      transaction: commissionTx._id,
+      createdBy: admin._id,
+      memo: `Level ${level} commission on deposit by ${user.email}`
+    }, session)
+
+    // the referrals snapshot lists direct referrals only
+    if (level === 1) {
+      referrer.referrals = referrer.referrals || []
+      const entry = referrer.referrals.find(r => r && r.user && r.user.toString() === user._id.toString())
+      if (entry) {
+        entry.capital = Number((entry.capital || 0) + amt)
+        entry.commissionEarned = Number((entry.commissionEarned || 0) + commission)
+      } else {
+        // push a new snapshot entry so admin UI and referrer can see it going forward
+        referrer.referrals.push({
+          user: user._id,
+          email: user.email,
+          capital: amt,
+          commissionEarned: commission,
+          createdAt: new Date()
+        })
+      }
+    }
+
+    await referrer.save({ session })
+    credited.push({ referrer, level, commission, transaction: commissionTx._id })
+  }
+
+  return credited
 }
 
-/* ----- approve deposit ----- */
 exports.approveDeposit = async (req, res, next) => {
+  const session = await mongoose.startSession()
   try {
     const id = req.params.id
     const { approvedAmount } = req.body || {}
     const admin = req.user
 
-    const tx = await Transaction.findById(id)
-    if (!tx || tx.type !== 'deposit') return res.status(404).json({ message: 'Deposit request not found' })
-    if (tx.status !== 'pending') return res.status(400).json({ message: 'Request already processed' })
+    let txDoc = null
+    let updatedUser = null
+    let referrals = []
+    let amt = 0
 
-    const user = await User.findById(tx.user)
-    if (!user) return res.status(404).json({ message: 'User not found' })
+    // Capital credit, deposit subdocument, transaction status, audit and referral commission commit together
+    await session.withTransaction(async () => {
+      const tx = await Transaction.findById(id).session(session)
+      if (!tx || tx.type !== 'deposit') {
+        const e = new Error('Deposit request not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (tx.status !== 'pending') {
+        const e = new Error('Request already processed')
+        e.statusCode = 400
+        throw e
+      }
 
-    const amt = Number(approvedAmount ?? tx.amount)
+      const user = await User.findById(tx.user).session(session)
+      if (!user) {
+        const e = new Error('User not found')
+        e.statusCode = 404
+        throw e
+      }
 
-    // --- Normalize/repair method storage to avoid casting issues when older records stored objects in `method` ---
-    // Ensure tx.method is a string id and full method object (if any) is in tx.details.method
-    try {
-      tx.details = tx.details || {}
+      amt = Number(approvedAmount ?? tx.amount)
+      if (!amt || Number.isNaN(amt) || amt <= 0) {
+        const e = new Error('Invalid approved amount')
+        e.statusCode = 400
+        throw e
+      }
+
+      // --- Normalize/repair method storage to avoid casting issues when older records stored objects in `method` ---
+      // Ensure tx.method is a string id and full method object (if any) is in tx.details.method
+      tx.details = { ...(tx.details || {}) }
       if (tx.details.method) {
         // details.method already exists; ensure tx.method is set to id if not present
         const md = tx.details.method
@@ -418,153 +856,108 @@ exports.approveDeposit = async (req, res, next) => {
         // legacy: method was stored as an object; move it into details.method and set method to id/type
         const legacy = tx.method
         tx.details.method = legacy
-        tx.method = legacy.id ? String(legacy.id) : (legacy.type ? String(legacy.type) : String(legacy.id || legacy.type || 'bank'))
+        tx.method = legacy.id ? String(legacy.id) : (legacy.type ? String(legacy.type) : 'bank')
       }
-      // At this point tx.method should be string (or undefined) and tx.details.method contains full object (if available)
-    } catch (err) {
-      // non-fatal; continue with cautious defaults
-      console.warn('approveDeposit: normalize method failed', err?.message || err)
-    }
-
-    // Determine deposit parameters
-    // Prefer explicit plan in tx.details.plan (may be { amount, ratePercent, rate, days } or similar)
-    const planRaw = (tx.details && tx.details.plan) ? tx.details.plan : null
-
-    // derive ratePercent
-    let ratePercent = null
-    if (planRaw && (typeof planRaw.ratePercent === 'number' || typeof planRaw.rate === 'number')) {
-      ratePercent = (typeof planRaw.ratePercent === 'number') ? planRaw.ratePercent : planRaw.rate
-    } else if (typeof tx.details?.ratePercent === 'number') {
-      ratePercent = tx.details.ratePercent
-    } else {
-      ratePercent = rateForAmount(Number(amt || 0))
-    }
-
-    // days (calendar days)
-    const days = Number((planRaw && Number(planRaw.days)) ? planRaw.days : (tx.details?.days ? tx.details.days : 60))
-
-    // Use approval time as start (profit accrues immediately upon approval)
-    const startDate = new Date()
-    const endDate = new Date(startDate)
-    endDate.setDate(endDate.getDate() + days)
-
-    user.deposits = user.deposits || []
-    // Add deposit subdocument — include both startDate and approvedAt so other codepaths find a canonical start immediately
-    user.deposits.push({
-      amount: amt,
-      ratePercent: Number(ratePercent),
-      days: Number(days),
-      startDate,
-      approvedAt: startDate,
-      endDate,
-      status: 'active'
-    })
-
-    user.capital = Number((Number(user.capital || 0) + amt).toFixed(2))
-    await user.save()
-
-    // update and normalize transaction fields to avoid casting problems and keep audit trail
-    tx.status = 'approved'
-    tx.updatedAt = new Date()
-    tx.adminRemarks = `Approved by ${admin.email}`
-    tx.details = tx.details || {}
-    tx.details.approvedAmount = amt
-    tx.details.approvedAt = startDate
-    tx.details.approvedBy = admin._id ? admin._id.toString() : (admin.id || admin._id || 'admin')
-    tx.details.appliedPlan = { ratePercent: Number(ratePercent), days: Number(days), amount: amt }
-
-    // also set top-level approvedAt for convenience and canonical timestamp
-    tx.approvedAt = startDate
-
-    // ensure main method field is a string id (if not present, leave as undefined)
-    if (tx.details && tx.details.method && typeof tx.details.method === 'object') {
-      tx.method = tx.method || (tx.details.method.id ? String(tx.details.method.id) : (tx.details.method.type ? String(tx.details.method.type) : tx.method))
-    } else if (tx.method && typeof tx.method !== 'string') {
-      // fallback: stringify
-      tx.method = String(tx.method)
-    }
-
-    await tx.save()
 
-    await Audit.create({ admin: admin._id, action: 'approve-deposit', meta: { txId: tx._id, approvedAmount: amt } })
+      // Determine deposit parameters
+      // Prefer explicit plan in tx.details.plan (may be { amount, ratePercent, rate, days } or similar)
+      const planRaw = tx.details.plan || null
 
-    // ----- improved referral handling -----
-    // Try to find referrer by explicit referredBy on the user, otherwise fallback to snapshot search
-    let referrer = null
-    try {
-      if (user.referredBy) {
-        referrer = await User.findById(user.referredBy)
-      }
-      if (!referrer) {
-        // fallback: find a user that has a snapshot entry referencing this user
-        referrer = await User.findOne({ 'referrals.user': user._id })
+      // derive ratePercent
+      let ratePercent = null
+      if (planRaw && (typeof planRaw.ratePercent === 'number' || typeof planRaw.rate === 'number')) {
+        ratePercent = (typeof planRaw.ratePercent === 'number') ? planRaw.ratePercent : planRaw.rate
+      } else if (typeof tx.details.ratePercent === 'number') {
+        ratePercent = tx.details.ratePercent
+      } else {
+        ratePercent = rateForAmount(Number(amt || 0))
       }
-    } catch (err) {
-      console.warn('approveDeposit: error finding referrer', err.message || err)
-      referrer = null
-    }
 
-    if (referrer) {
-      // Read environment REFERRAL_RATE and parse to a number. Accepts '0.05' (5%) or '.05' etc.
-      // Default to 0.05 (5%) if not set or invalid.
-      const envVal = process.env.REFERRAL_RATE
-      let referralRate = 0.05
-      if (typeof envVal === 'string' && envVal.trim() !== '') {
-        const parsed = parseFloat(envVal)
-        if (!Number.isNaN(parsed) && parsed >= 0 && parsed <= 1) referralRate = parsed
-      } else if (typeof envVal === 'number' && !Number.isNaN(envVal)) {
-        referralRate = envVal
-      }
+      // days (calendar days)
+      const days = Number((planRaw && Number(planRaw.days)) ? planRaw.days : (tx.details.days ? tx.details.days : 60))
+
+      // Use approval time as start (profit accrues immediately upon approval)
+      const startDate = new Date()
+      await ensureCalendarLoaded()
+      const endDate = addCalendarDays(startDate, days, { timeZone: user.timezone })
+
+      user.deposits = user.deposits || []
+      // Add deposit subdocument — include both startDate and approvedAt so other codepaths find a canonical start immediately
+      user.deposits.push({
+        amount: amt,
+        ratePercent: Number(ratePercent),
+        days: Number(days),
+        startDate,
+        approvedAt: startDate,
+        endDate,
+        status: 'active'
+      })
 
-      const commission = Number((amt * referralRate).toFixed(2))
+      await ledger.recordDeposit(user, amt, { transaction: tx._id, createdBy: admin._id }, session)
+      await user.save({ session })
 
-      referrer.referralEarnings = Number((referrer.referralEarnings || 0) + commission)
+      // update transaction fields and keep audit trail
+      tx.status = 'approved'
+      tx.updatedAt = new Date()
+      tx.adminRemarks = `Approved by ${admin.email}`
+      tx.details.approvedAmount = amt
+      tx.details.approvedAt = startDate
+      tx.details.approvedBy = admin._id.toString()
+      tx.details.appliedPlan = { ratePercent: Number(ratePercent), days: Number(days), amount: amt }
+      tx.details.depositIndex = user.deposits.length - 1
+
+      // also set top-level approvedAt for convenience and canonical timestamp
+      tx.approvedAt = startDate
+
+      referrals = await creditReferralCommissions(user, amt, tx, admin, session)
+      tx.details.referralCommissions = referrals.map(r => ({
+        referrer: r.referrer._id,
+        level: r.level,
+        amount: r.commission,
+        transaction: r.transaction
+      }))
+      const direct = referrals.find(r => r.level === 1)
+      if (direct) {
+        tx.details.referralCommission = { referrer: direct.referrer._id, amount: direct.commission }
+      }
+      await tx.save({ session })
 
-      // Find existing snapshot entry pointing to this referred user
-      referrer.referrals = referrer.referrals || []
-      let entry = referrer.referrals.find(r => {
-        if (!r) return false
-        // r.user might be an ObjectId or string
-        try {
-          return r.user && r.user.toString() === user._id.toString()
-        } catch (e) {
-          return false
-        }
-      })
+      await new Audit({
+        admin: admin._id,
+        action: 'approve-deposit',
+        meta: { txId: tx._id, approvedAmount: amt, referralCommissions: tx.details.referralCommissions }
+      }).save({ session })
 
-      if (entry) {
-        entry.capital = Number((entry.capital || 0) + amt)
-        entry.commissionEarned = Number((entry.commissionEarned || 0) + commission)
-      } else {
-        // push a new snapshot entry so admin UI and referrer can see it going forward
-        referrer.referrals.push({
-          user: user._id,
-          email: user.email,
-          capital: amt,
-          commissionEarned: commission,
-          createdAt: new Date()
-        })
-      }
+      txDoc = tx
+      updatedUser = user
+    }) // end transaction
 
-      await referrer.save()
-    }
+    session.endSession()
 
-    // notify user + admin
+    // notify user + admin (after commit)
     try {
       // Note: updated message to reflect immediate accrual (no 24-hour delay)
-      await sendMail({ to: user.email, subject: `Deposit approved — ${amt}`, html: `<p>Your deposit of ${amt} has been approved and added to your capital.</p><p>Profit starts accruing immediately after approval and accrues on business days (weekdays) only.</p>` })
+      await sendMail({ to: updatedUser.email, subject: `Deposit approved — ${amt}`, html: `<p>Your deposit of ${amt} has been approved and added to your capital.</p><p>Profit starts accruing immediately after approval and accrues on business days (weekdays) only.</p>` })
     } catch (err) { console.warn('notify user deposit err', err.message || err) }
 
     try {
       await sendAdminNotification({
-        subject: `Deposit approved — ${user.email} — ${amt}`,
-        html: `<p>Deposit approved</p><p>User: ${user.email}</p><p>Amount: ${amt}</p><p>New capital: ${user.capital}</p><p>Processed by: ${admin.email}</p>`
+        subject: `Deposit approved — ${updatedUser.email} — ${amt}`,
+        html: `<p>Deposit approved</p><p>User: ${updatedUser.email}</p><p>Amount: ${amt}</p><p>New capital: ${updatedUser.capital}</p>
+               <p>Referral commission: ${referrals.length ? referrals.map(r => `level ${r.level}: ${r.commission} to ${r.referrer.email}`).join(', ') : '—'}</p>
+               <p>Processed by: ${admin.email}</p>`
       })
     } catch (err) { console.warn('admin notify (approve deposit) failed', err.message || err) }
 
     // Return the updated user and transaction so frontend can update the UI immediately (includes approvedAt)
-    return res.json({ message: 'Deposit approved', user, tx })
-  } catch (err) { next(err) }
+    return res.json({ message: 'Deposit approved', user: updatedUser, tx: txDoc })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    // anything else aborted the whole approval: nothing was credited
+    console.error('approveDeposit failed', err)
+    next(err)
+  }
 }
 
 /* ----- reject deposit ----- */
@@ -601,6 +994,350 @@ exports.rejectDeposit = async (req, res, next) => {
   } catch (err) { next(err) }
 }
 
+/* ----- reverse an approved deposit / withdraw ----- */
+
+// The user.deposits entry created by approving deposit `tx` (older approvals did not store its index)
+function depositForTransaction(user, tx) {
+  const deposits = user.deposits || []
+  const details = tx.details || {}
+  if (Number.isInteger(details.depositIndex) && deposits[details.depositIndex]) {
+    return { dep: deposits[details.depositIndex], index: details.depositIndex }
+  }
+  const approvedAt = details.approvedAt ? new Date(details.approvedAt).getTime() : null
+  const index = deposits.findIndex(d => d && approvedAt && d.startDate && new Date(d.startDate).getTime() === approvedAt &&
+    Number(d.amount) === Number(details.approvedAmount ?? tx.amount))
+  return index === -1 ? { dep: null, index: -1 } : { dep: deposits[index], index }
+}
+
+// Claw back the referral commissions paid on deposit `tx`; returns [{ referrer, level, amount }]
+async function reverseReferralCommissions(user, tx, reason, admin, session) {
+  const details = tx.details || {}
+  const amt = Number(details.approvedAmount ?? tx.amount)
+  // older approvals only recorded the direct commission, posted against the deposit transaction itself
+  const paid = Array.isArray(details.referralCommissions)
+    ? details.referralCommissions
+    : (details.referralCommission ? [{ ...details.referralCommission, level: 1, transaction: null }] : [])
+
+  const reversed = []
+  for (const c of paid) {
+    const referrer = await User.findById(c.referrer).session(session)
+    if (!referrer) continue
+
+    const commissionTxId = c.transaction || tx._id
+    await ledger.reverseTransaction(referrer, commissionTxId, {
+      fallback: [
+        { account: ledger.ACCOUNTS.REFERRAL, debit: c.amount },
+        { account: ledger.ACCOUNTS.REFERRAL_EXPENSE, credit: c.amount }
+      ],
+      createdBy: admin._id,
+      memo: `Commission clawed back: deposit by ${user.email} reversed`
+    }, session)
+
+    if (c.transaction) {
+      await Transaction.updateOne(
+        { _id: c.transaction },
+        { $set: { status: 'reversed', updatedAt: new Date(), 'details.reversal': { reason, reversedAt: new Date(), reversedBy: admin._id } } },
+        { session }
+      )
+    }
+
+    if (Number(c.level) === 1) {
+      const entry = (referrer.referrals || []).find(r => r && r.user && r.user.toString() === user._id.toString())
+      if (entry) {
+        entry.capital = Math.max(0, Number((Number(entry.capital || 0) - amt).toFixed(2)))
+        entry.commissionEarned = Math.max(0, Number((Number(entry.commissionEarned || 0) - Number(c.amount || 0)).toFixed(2)))
+      }
+    }
+
+    await referrer.save({ session })
+    reversed.push({ referrer: referrer._id, email: referrer.email, level: c.level, amount: c.amount })
+  }
+  return reversed
+}
+
+// POST /api/admin/requests/:id/reverse  body: { reason }
+// Undoes an approved deposit or withdrawal with compensating ledger entries; the transaction is kept, marked `reversed`.
+exports.reverseRequest = async (req, res, next) => {
+  const id = req.params.id
+  const reason = String((req.body || {}).reason || '').trim()
+  const admin = req.user
+  if (!reason) return res.status(400).json({ message: 'A reason is required to reverse a transaction' })
+
+  const session = await mongoose.startSession()
+  try {
+    let txDoc = null
+    let updatedUser = null
+    let commissions = []
+
+    await ensureCalendarLoaded()
+    await session.withTransaction(async () => {
+      commissions = []
+      const tx = await Transaction.findById(id).session(session)
+      if (!tx) {
+        const e = new Error('Request not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (tx.type !== 'deposit' && tx.type !== 'withdraw') {
+        const e = new Error('Only deposits and withdrawals can be reversed')
+        e.statusCode = 400
+        throw e
+      }
+      if (tx.status !== 'approved') {
+        const e = new Error('Only approved requests can be reversed')
+        e.statusCode = 400
+        throw e
+      }
+
+      const user = await User.findById(tx.user).session(session)
+      if (!user) {
+        const e = new Error('User not found')
+        e.statusCode = 404
+        throw e
+      }
+
+      const details = tx.details || {}
+      const memo = `Reversal: ${reason}`
+
+      if (tx.type === 'deposit') {
+        const { dep, index } = depositForTransaction(user, tx)
+        if (!dep || dep.status !== 'active') {
+          const e = new Error('The deposit is no longer active (matured, terminated or missing); adjust balances manually')
+          e.statusCode = 400
+          throw e
+        }
+        const amt = Number(details.approvedAmount ?? tx.amount)
+
+        // the deposit stays in the array (other records refer to deposits by index) but never earns again
+        dep.status = 'reversed'
+        await AccrualSnapshot.deleteMany({ user: user._id, depositIndex: index }, { session })
+
+        await ledger.reverseTransaction(user, tx._id, {
+          fallback: [{ account: ledger.ACCOUNTS.CAPITAL, debit: amt }, { account: ledger.ACCOUNTS.CASH, credit: amt }],
+          createdBy: admin._id,
+          memo
+        }, session)
+        // takes back the profit the deposit had accrued
+        await ledger.accrueProfit(user, new Date(), session)
+
+        commissions = await reverseReferralCommissions(user, tx, reason, admin, session)
+      } else {
+        // money that has left (or is being sent in a payout batch) cannot simply be credited back
+        if (tx.payoutStatus === 'in_batch' || tx.payoutStatus === 'paid') {
+          const e = new Error(tx.payoutStatus === 'paid'
+            ? 'The withdrawal has already been paid out; adjust balances manually'
+            : 'The withdrawal is in an open payout batch; cancel the batch first')
+          e.statusCode = 400
+          throw e
+        }
+        tx.payoutStatus = null
+        const breakdown = ledger.withdrawalBreakdown(tx)
+        await ledger.reverseTransaction(user, tx._id, {
+          fallback: [
+            { account: ledger.ACCOUNTS.NET_PROFIT, credit: breakdown.fromNet },
+            { account: ledger.ACCOUNTS.REFERRAL, credit: breakdown.fromRef },
+            { account: ledger.ACCOUNTS.CASH, debit: breakdown.fromNet + breakdown.fromRef }
+          ],
+          createdBy: admin._id,
+          memo
+        }, session)
+      }
+
+      await user.save({ session })
+
+      tx.status = 'reversed'
+      tx.updatedAt = new Date()
+      tx.adminRemarks = `Reversed by ${admin.email}: ${reason}`
+      tx.details = { ...details, reversal: { reason, reversedAt: new Date(), reversedBy: admin._id, commissions } }
+      tx.markModified('details')
+      await tx.save({ session })
+
+      await new Audit({
+        admin: admin._id,
+        action: `reverse-${tx.type}`,
+        meta: { txId: tx._id, userId: user._id, amount: details.approvedAmount ?? tx.amount, reason, commissions }
+      }).save({ session })
+
+      txDoc = tx
+      updatedUser = user
+    })
+    session.endSession()
+
+    try {
+      await sendMail({
+        to: updatedUser.email,
+        subject: `${txDoc.type === 'deposit' ? 'Deposit' : 'Withdrawal'} reversed`,
+        html: `<p>Your ${txDoc.type === 'deposit' ? 'deposit' : 'withdrawal'} of ${txDoc.details.approvedAmount ?? txDoc.amount} has been reversed.</p>
+               <p>Reason: ${reason}</p>`
+      })
+    } catch (err) { console.warn('notify user reversal err', err.message || err) }
+
+    try {
+      await sendAdminNotification({
+        subject: `Transaction reversed — ${updatedUser.email} — ${txDoc._id}`,
+        html: `<p>Admin action: ${txDoc.type} reversed</p>
+               <p>User: ${updatedUser.email}</p>
+               <p>Amount: ${txDoc.details.approvedAmount ?? txDoc.amount}</p>
+               <p>Reason: ${reason}</p>
+               <p>Commissions clawed back: ${commissions.length ? commissions.map(c => `${c.amount} from ${c.email}`).join(', ') : '—'}</p>
+               <p>Processed by: ${admin.email}</p>`
+      })
+    } catch (err) { console.warn('admin notify (reversal) failed', err.message || err) }
+
+    const overview = {
+      capital: Number(updatedUser.capital || 0),
+      netProfit: Number(updatedUser.netProfit || 0),
+      referralEarnings: Number(updatedUser.referralEarnings || 0),
+      totalPortfolio: Number(updatedUser.capital || 0) + Number(updatedUser.netProfit || 0) + Number(updatedUser.referralEarnings || 0)
+    }
+    res.json({ message: 'Transaction reversed', overview, tx: txDoc })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+/* ----- approve / reject early termination ----- */
+exports.approveEarlyTermination = async (req, res, next) => {
+  const session = await mongoose.startSession()
+  try {
+    const id = req.params.id
+    const admin = req.user
+
+    let txDoc = null
+    let updatedUser = null
+
+    await ensureCalendarLoaded()
+    await session.withTransaction(async () => {
+      const tx = await Transaction.findById(id).session(session)
+      if (!tx || tx.type !== 'early-termination') {
+        const e = new Error('Early termination request not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (tx.status !== 'pending') {
+        const e = new Error('Request already processed')
+        e.statusCode = 400
+        throw e
+      }
+
+      const user = await User.findById(tx.user).session(session)
+      if (!user) {
+        const e = new Error('User not found')
+        e.statusCode = 404
+        throw e
+      }
+
+      const details = tx.details || {}
+      const dep = (user.deposits || [])[details.depositIndex]
+      const requested = details.deposit || {}
+      if (!dep || dep.status !== 'active' ||
+          (requested.startDate && new Date(dep.startDate).getTime() !== new Date(requested.startDate).getTime())) {
+        const e = new Error('Deposit is no longer active')
+        e.statusCode = 400
+        throw e
+      }
+
+      // Post profit earned up to now, then stop accrual on this deposit
+      const terminatedAt = new Date()
+      await ledger.accrueProfit(user, terminatedAt, session)
+      dep.status = 'terminated'
+      dep.terminatedAt = terminatedAt
+
+      // never return more than the capital on the books (manual adjustments may have lowered it)
+      const amount = Math.min(Number(dep.amount || 0), Math.max(0, Number(user.capital || 0)))
+      const penalty = Number(Math.min(amount, Number(details.penalty || 0)).toFixed(2))
+      await ledger.recordEarlyTermination(user, { amount, penalty }, { transaction: tx._id, createdBy: admin._id }, session)
+      await user.save({ session })
+
+      tx.status = 'approved'
+      tx.updatedAt = new Date()
+      tx.adminRemarks = `Approved by ${admin.email}`
+      tx.details = {
+        ...details,
+        approvedAt: terminatedAt,
+        penalty,
+        payout: Number((amount - penalty).toFixed(2)),
+        profitEarned: profitForDeposit(dep, terminatedAt, { country: user.country, timeZone: user.timezone })
+      }
+      tx.markModified('details')
+      await tx.save({ session })
+
+      await new Audit({
+        admin: admin._id,
+        action: 'approve-early-termination',
+        meta: { txId: tx._id, userId: user._id, depositIndex: details.depositIndex, amount, penalty }
+      }).save({ session })
+
+      txDoc = tx
+      updatedUser = user
+    })
+    session.endSession()
+
+    try {
+      await sendMail({
+        to: updatedUser.email,
+        subject: `Early termination approved — ${txDoc.amount}`,
+        html: `<p>Your deposit of ${txDoc.amount} has been terminated early and no longer earns profit.</p>
+               <p>Profit earned: ${txDoc.details.profitEarned}</p>
+               <p>Penalty (${txDoc.details.penaltyPercent}%): ${txDoc.details.penalty}</p>
+               <p>${txDoc.details.payout} has been added to your withdrawable balance.</p>`
+      })
+    } catch (err) { console.warn('notify user early termination err', err.message || err) }
+
+    try {
+      await sendAdminNotification({
+        subject: `Early termination approved — ${updatedUser.email} — ${txDoc.amount}`,
+        html: `<p>Admin action: early termination approved</p>
+               <p>User: ${updatedUser.email}</p>
+               <p>Deposit amount: ${txDoc.amount}</p>
+               <p>Penalty: ${txDoc.details.penalty}</p>
+               <p>Returned to withdrawable balance: ${txDoc.details.payout}</p>
+               <p>Processed by: ${admin.email}</p>`
+      })
+    } catch (err) { console.warn('admin notify (approve early termination) failed', err.message || err) }
+
+    const overview = {
+      capital: Number(updatedUser.capital || 0),
+      netProfit: Number(updatedUser.netProfit || 0),
+      referralEarnings: Number(updatedUser.referralEarnings || 0),
+      totalPortfolio: Number(updatedUser.capital || 0) + Number(updatedUser.netProfit || 0) + Number(updatedUser.referralEarnings || 0)
+    }
+    res.json({ message: 'Early termination approved', overview, tx: txDoc })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+exports.rejectEarlyTermination = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const { reason } = req.body || {}
+    const admin = req.user
+
+    const tx = await Transaction.findById(id)
+    if (!tx || tx.type !== 'early-termination') return res.status(404).json({ message: 'Early termination request not found' })
+    if (tx.status !== 'pending') return res.status(400).json({ message: 'Request already processed' })
+
+    tx.status = 'rejected'
+    tx.updatedAt = new Date()
+    tx.adminRemarks = reason || `Rejected by ${admin.email}`
+    await tx.save()
+
+    await Audit.create({ admin: admin._id, action: 'reject-early-termination', meta: { txId: tx._id, reason } })
+
+    try {
+      const user = await User.findById(tx.user)
+      await sendMail({ to: user.email, subject: `Early termination rejected`, html: `<p>Your early termination request was rejected and your deposit remains active. Reason: ${reason || 'No reason provided'}</p>` })
+    } catch (err) { console.warn('notify user early termination reject err', err.message || err) }
+
+    res.json({ message: 'Early termination rejected' })
+  } catch (err) { next(err) }
+}
+
 /* ======= Users management (admin) ======= */
 
 /**
@@ -800,23 +1537,34 @@ exports.getUserTransactions = async (req, res, next) => {
 
 /**
  * updateUser - admin can update profile fields & balances
- * Accepts referrals[] and deleted flag as well
+ * Accepts referrals[] and deleted flag as well. Balance fields are posted to the ledger as an adjustment.
  */
 exports.updateUser = async (req, res, next) => {
   try {
     const id = req.params.id
-    const allowed = ['firstName','lastName','phone','country','profileType','role','capital','netProfit','referralEarnings','email','referrals','deleted','withdrawalRestricted','withdrawalRestrictionReason']
+    const allowed = ['firstName','lastName','phone','country','timezone','profileType','role','email','referrals','deleted','withdrawalRestricted','withdrawalRestrictionReason']
     const updates = {}
     for (const k of allowed) {
       if (typeof req.body[k] !== 'undefined') updates[k] = req.body[k]
     }
 
+    const balanceTargets = {}
+    for (const k of Object.keys(ledger.BALANCE_ACCOUNTS)) {
+      if (typeof req.body[k] !== 'undefined') balanceTargets[k] = Number(req.body[k])
+    }
+
     if (updates.email) updates.email = ('' + updates.email).toLowerCase()
+    if (updates.timezone && !isValidTimeZone(updates.timezone)) return res.status(400).json({ message: 'Invalid timezone' })
 
-    const user = await User.findByIdAndUpdate(id, updates, { new: true }).select('-password')
+    let user = await User.findByIdAndUpdate(id, updates, { new: true }).select('-password')
     if (!user) return res.status(404).json({ message: 'User not found' })
 
-    await Audit.create({ admin: req.user._id, action: 'admin-update-user', meta: { userId: id, updates } })
+    if (Object.keys(balanceTargets).length > 0) {
+      await ledger.recordAdjustment(user, balanceTargets, { createdBy: req.user._id, memo: req.body.reason || 'Admin user update' })
+      await user.save()
+    }
+
+    await Audit.create({ admin: req.user._id, action: 'admin-update-user', meta: { userId: id, updates, balances: balanceTargets } })
     res.json({ user })
   } catch (err) { next(err) }
 }
@@ -854,18 +1602,49 @@ exports.listUsersShort = async (req, res, next) => {
 exports.updateBalances = async (req, res, next) => {
   try {
     const id = req.params.id
-    const { capital, netProfit, referralEarnings } = req.body
+    const { capital, netProfit, referralEarnings, reason } = req.body
     const user = await User.findById(id)
     if (!user) return res.status(404).json({ message: 'User not found' })
-    if (typeof capital === 'number') user.capital = capital
-    if (typeof netProfit === 'number') user.netProfit = netProfit
-    if (typeof referralEarnings === 'number') user.referralEarnings = referralEarnings
+    await ledger.recordAdjustment(user, { capital, netProfit, referralEarnings }, { createdBy: req.user._id, memo: reason || 'Manual balance update' })
     await user.save()
-    await Audit.create({ admin: req.user._id, action: 'update-balances', meta: { userId: id, changes: { capital, netProfit, referralEarnings } } })
+    await Audit.create({ admin: req.user._id, action: 'update-balances', meta: { userId: id, changes: { capital, netProfit, referralEarnings }, reason } })
     res.json({ user })
   } catch (err) { next(err) }
 }
 
+/**
+ * GET /api/admin/user/:id/ledger
+ * Ledger statement for a user: every journal line plus the balances derived from them.
+ */
+exports.getUserLedger = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const user = await User.findById(id)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const balances = await ledger.syncBalances(user)
+    await user.save()
+
+    const limit = Math.max(1, Math.min(2000, parseInt(req.query.limit || '500', 10)))
+    const entries = await ledger.getEntries(user._id, { limit })
+    res.json({ balances, entries })
+  } catch (err) { next(err) }
+}
+
+/**
+ * GET /api/admin/reconciliation?tolerance=0.01&all=true
+ * Users whose stored capital/netProfit/referralEarnings (or ledger balances) drift from the values
+ * recomputed from deposits, profitForDeposit and approved withdrawals.
+ */
+exports.reconciliation = async (req, res, next) => {
+  try {
+    const tolerance = Math.max(0, Number(req.query.tolerance ?? 0.01) || 0)
+    const includeClean = req.query.all === 'true'
+    const report = await reconcileAll({ tolerance, includeClean })
+    res.json(report)
+  } catch (err) { next(err) }
+}
+
 /**
  * POST /api/admin/message
  * Body: { to: [userIdOrEmail, ...], subject, body }
@@ -5,14 +5,6 @@ const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
 const { sendAdminNotification } = require('../utils/email')
 
-// Currency configuration for supported countries
-const CURRENCY_CONFIG = {
-  'South Africa': { code: 'ZAR', rate: 17, symbol: 'R' },
-  'Nigeria': { code: 'NGN', rate: 1500, symbol: '₦' },
-  'Ghana': { code: 'GHS', rate: 12.50, symbol: 'GH₵' },
-  'Philippines': { code: 'PHP', rate: 58, symbol: '₱' }
-};
-
 function signToken(user) {
   const secret = process.env.JWT_SECRET || process.env.secret_key
   if (!secret) throw new Error('JWT secret not configured (set JWT_SECRET or secret_key)')
@@ -34,20 +26,6 @@ function validatePassword(password) {
   return { ok: failures.length === 0, failures }
 }
 
-// Helper function to get currency config for a country
-function getCurrencyConfig(country) {
-  return CURRENCY_CONFIG[country] || null;
-}
-
-// Helper function to format converted amount
-function formatConvertedAmount(usdAmount, country) {
-  const currencyConfig = getCurrencyConfig(country);
-  if (!currencyConfig) return null;
-  
-  const converted = (Number(usdAmount || 0) * currencyConfig.rate).toFixed(2);
-  return `${currencyConfig.symbol}${converted}`;
-}
-
 exports.register = async (req, res, next) => {
   try {
     const { firstName, lastName, email, password, phone, country, profileType, gender } = req.body
@@ -305,7 +283,3 @@ exports.resetPassword = async (req, res, next) => {
     next(err)
   }
 }
-
-// Export currency helper functions for use in other controllers
-exports.getCurrencyConfig = getCurrencyConfig;
-exports.formatConvertedAmount = formatConvertedAmount;
\ No newline at end of file
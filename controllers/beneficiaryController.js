@@ -0,0 +1,179 @@
+// controllers/beneficiaryController.js
+// Per-user withdrawal beneficiaries (models/Beneficiary.js) under /api/users/:id/beneficiaries.
+const mongoose = require('mongoose')
+const Beneficiary = require('../models/Beneficiary')
+const User = require('../models/User')
+const AdminSettings = require('../models/AdminSettings')
+const Audit = require('../models/Audit')
+const { sendMail } = require('../utils/email')
+const { NETWORKS: CRYPTO_NETWORKS, validateCryptoAddress } = require('../utils/cryptoAddress')
+
+const BANK_FIELDS = ['bankName', 'accountName', 'accountNumber', 'branchCode']
+const MAX_BENEFICIARIES = 20
+
+function canAccess(req, id) {
+  const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user))
+  return authId === id || req.user.role === 'admin'
+}
+
+async function coolingOffEnd(now = new Date()) {
+  const settings = await AdminSettings.getSettings()
+  const hours = Math.max(0, Number(settings.beneficiaryCoolingOffHours ?? 24))
+  return new Date(now.getTime() + hours * 3600 * 1000)
+}
+
+/**
+ * validateBeneficiaryInput(body, existing)
+ * Returns { updates, detailsChanged } or { error }. The method cannot be changed on an existing beneficiary.
+ */
+function validateBeneficiaryInput(body = {}, existing = null) {
+  const updates = {}
+  const method = existing ? existing.method : body.method
+  if (!['bank', 'crypto'].includes(method)) return { error: 'method must be bank or crypto' }
+  if (!existing) updates.method = method
+  if (existing && body.method !== undefined && body.method !== existing.method) {
+    return { error: 'method cannot be changed; add a new beneficiary instead' }
+  }
+
+  if (body.label !== undefined) updates.label = String(body.label || '').trim().slice(0, 100)
+
+  if (method === 'bank' && (body.bank !== undefined || !existing)) {
+    const bank = body.bank || {}
+    const next = {}
+    for (const field of BANK_FIELDS) next[field] = String(bank[field] || '').trim()
+    if (!next.accountNumber) return { error: 'Account number is required for bank beneficiaries' }
+    updates.bank = next
+  }
+  if (method === 'crypto' && (body.crypto !== undefined || !existing)) {
+    const crypto = body.crypto || {}
+    const checked = validateCryptoAddress(crypto.network, crypto.walletAddress)
+    if (checked.error) return { error: checked.error }
+    updates.crypto = { network: checked.network, walletAddress: checked.address }
+  }
+
+  let detailsChanged = !existing
+  if (existing && updates.bank) detailsChanged = BANK_FIELDS.some(f => (existing.bank[f] || '') !== updates.bank[f])
+  if (existing && updates.crypto) {
+    detailsChanged = existing.crypto.network !== updates.crypto.network || existing.crypto.walletAddress !== updates.crypto.walletAddress
+  }
+  return { updates, detailsChanged }
+}
+
+// Identity of a destination, to refuse saving the same account twice
+function destinationQuery(userId, method, updates, existing) {
+  const q = { user: userId, method }
+  if (existing) q._id = { $ne: existing._id }
+  if (method === 'bank') q['bank.accountNumber'] = updates.bank.accountNumber
+  else Object.assign(q, { 'crypto.network': updates.crypto.network, 'crypto.walletAddress': updates.crypto.walletAddress })
+  return q
+}
+
+function describe(b) {
+  return b.method === 'bank'
+    ? `bank account ${b.bank.bankName ? `at ${b.bank.bankName} ` : ''}ending ${String(b.bank.accountNumber).slice(-4)}`
+    : `${b.crypto.network} wallet ${b.crypto.walletAddress.slice(0, 6)}…${b.crypto.walletAddress.slice(-4)}`
+}
+
+async function notifyBeneficiaryChange(user, b, verb) {
+  try {
+    await sendMail({
+      to: user.email,
+      subject: `Withdrawal beneficiary ${verb}`,
+      html: `<p>A withdrawal beneficiary was ${verb} on your account: ${describe(b)}${b.label ? ` (${b.label})` : ''}.</p>
+             <p>It can be used for withdrawals from ${b.activatesAt.toUTCString()}.</p>
+             <p>If you did not make this change, contact support immediately and change your password.</p>`
+    })
+  } catch (err) { console.warn('notify beneficiary change err', err.message || err) }
+}
+
+function present(b, now = new Date()) {
+  return { ...b.toObject(), active: b.isActive(now) }
+}
+
+/** GET /api/users/:id/beneficiaries */
+exports.listBeneficiaries = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    if (!canAccess(req, id)) return res.status(403).json({ message: 'Forbidden' })
+    const beneficiaries = await Beneficiary.find({ user: id }).sort({ createdAt: -1 })
+    const now = new Date()
+    res.json({ beneficiaries: beneficiaries.map(b => present(b, now)), networks: Object.keys(CRYPTO_NETWORKS) })
+  } catch (err) { next(err) }
+}
+
+/** POST /api/users/:id/beneficiaries - body: { method, label, bank | crypto } */
+exports.createBeneficiary = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    if (!canAccess(req, id)) return res.status(403).json({ message: 'Forbidden' })
+    const user = await User.findById(id)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const { updates, error } = validateBeneficiaryInput(req.body)
+    if (error) return res.status(400).json({ message: error })
+    if (await Beneficiary.countDocuments({ user: user._id }) >= MAX_BENEFICIARIES) {
+      return res.status(400).json({ message: `You can save at most ${MAX_BENEFICIARIES} beneficiaries` })
+    }
+    if (await Beneficiary.exists(destinationQuery(user._id, updates.method, updates))) {
+      return res.status(409).json({ message: 'This beneficiary is already saved' })
+    }
+
+    const beneficiary = await Beneficiary.create({ ...updates, user: user._id, activatesAt: await coolingOffEnd() })
+    if (req.user.role === 'admin' && String(req.user._id) !== id) {
+      await Audit.create({ admin: req.user._id, action: 'create-beneficiary', meta: { userId: user._id, beneficiaryId: beneficiary._id } })
+    }
+    await notifyBeneficiaryChange(user, beneficiary, 'added')
+
+    res.status(201).json({ beneficiary: present(beneficiary) })
+  } catch (err) { next(err) }
+}
+
+/**
+ * PATCH /api/users/:id/beneficiaries/:beneficiaryId - body: { label, bank | crypto }
+ * Changing the account details starts a new cooling-off period; renaming does not.
+ */
+exports.updateBeneficiary = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    if (!canAccess(req, id)) return res.status(403).json({ message: 'Forbidden' })
+    if (!mongoose.isValidObjectId(req.params.beneficiaryId)) return res.status(404).json({ message: 'Beneficiary not found' })
+    const beneficiary = await Beneficiary.findOne({ _id: req.params.beneficiaryId, user: id })
+    if (!beneficiary) return res.status(404).json({ message: 'Beneficiary not found' })
+
+    const { updates, detailsChanged, error } = validateBeneficiaryInput(req.body, beneficiary)
+    if (error) return res.status(400).json({ message: error })
+    if (detailsChanged && await Beneficiary.exists(destinationQuery(beneficiary.user, beneficiary.method, updates, beneficiary))) {
+      return res.status(409).json({ message: 'This beneficiary is already saved' })
+    }
+
+    beneficiary.set(updates)
+    if (detailsChanged) beneficiary.activatesAt = await coolingOffEnd()
+    await beneficiary.save()
+
+    if (req.user.role === 'admin' && String(req.user._id) !== id) {
+      await Audit.create({ admin: req.user._id, action: 'update-beneficiary', meta: { userId: beneficiary.user, beneficiaryId: beneficiary._id, detailsChanged } })
+    }
+    if (detailsChanged) {
+      const user = await User.findById(id)
+      if (user) await notifyBeneficiaryChange(user, beneficiary, 'changed')
+    }
+
+    res.json({ beneficiary: present(beneficiary) })
+  } catch (err) { next(err) }
+}
+
+/** DELETE /api/users/:id/beneficiaries/:beneficiaryId - past withdrawals keep their own copy of the details */
+exports.deleteBeneficiary = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    if (!canAccess(req, id)) return res.status(403).json({ message: 'Forbidden' })
+    if (!mongoose.isValidObjectId(req.params.beneficiaryId)) return res.status(404).json({ message: 'Beneficiary not found' })
+    const beneficiary = await Beneficiary.findOneAndDelete({ _id: req.params.beneficiaryId, user: id })
+    if (!beneficiary) return res.status(404).json({ message: 'Beneficiary not found' })
+
+    if (req.user.role === 'admin' && String(req.user._id) !== id) {
+      await Audit.create({ admin: req.user._id, action: 'delete-beneficiary', meta: { userId: beneficiary.user, beneficiaryId: beneficiary._id } })
+    }
+    res.json({ message: 'Beneficiary deleted' })
+  } catch (err) { next(err) }
+}
@@ -0,0 +1,126 @@
+// controllers/currencyController.js
+const mongoose = require('mongoose')
+const Currency = require('../models/Currency')
+const Audit = require('../models/Audit')
+
+// Returns { rate } or { error } for a new rate-history entry
+function validateRate(body = {}) {
+  const rate = Number(body.rate)
+  if (body.rate === undefined || Number.isNaN(rate) || rate <= 0) return { error: 'rate must be a positive number' }
+  const effectiveFrom = body.effectiveFrom ? new Date(body.effectiveFrom) : new Date()
+  if (Number.isNaN(effectiveFrom.getTime())) return { error: 'effectiveFrom must be a valid date' }
+  return { rate: { rate, effectiveFrom } }
+}
+
+/**
+ * validateCurrencyInput(body, existing)
+ * Returns { updates } or { error } for create (existing = null) and update. Rates are not part of it.
+ */
+async function validateCurrencyInput(body = {}, existing = null) {
+  const updates = {}
+
+  if (!existing) {
+    if (typeof body.code !== 'string' || !/^[A-Za-z]{3}$/.test(body.code.trim())) return { error: 'code must be a 3-letter currency code' }
+    updates.code = body.code.trim().toUpperCase()
+    if (await Currency.exists({ code: updates.code })) return { error: `Currency ${updates.code} already exists` }
+  }
+
+  for (const field of ['name', 'symbol']) {
+    if (body[field] === undefined) continue
+    if (typeof body[field] !== 'string' || body[field].trim() === '') return { error: `${field} must be a non-empty string` }
+    updates[field] = body[field].trim()
+  }
+  if (!existing && !updates.symbol) return { error: 'symbol is required' }
+
+  if (body.countries !== undefined) {
+    if (!Array.isArray(body.countries) || body.countries.some(c => typeof c !== 'string')) return { error: 'countries must be an array of country names' }
+    updates.countries = Array.from(new Set(body.countries.map(c => c.trim()).filter(Boolean)))
+  }
+  if (body.active !== undefined) updates.active = Boolean(body.active)
+  if (body.pinned !== undefined) updates.pinned = Boolean(body.pinned)
+
+  // a country can only display in one active currency
+  const countries = updates.countries ?? existing?.countries ?? []
+  const active = updates.active ?? existing?.active ?? true
+  if (active && countries.length > 0) {
+    const clash = await Currency.findOne({ _id: { $ne: existing?._id }, active: true, countries: { $in: countries } })
+    if (clash) return { error: `${clash.code} is already used for ${clash.countries.filter(c => countries.includes(c)).join(', ')}` }
+  }
+
+  return { updates }
+}
+
+/** Admin GET /api/admin/currencies */
+exports.listCurrencies = async (req, res, next) => {
+  try {
+    const currencies = await Currency.getCurrencies()
+    res.json({
+      provider: process.env.EXCHANGE_RATE_PROVIDER || null,
+      currencies: currencies.map(c => ({ ...c.toObject(), current: c.rateAt() }))
+    })
+  } catch (err) { next(err) }
+}
+
+/** Admin POST /api/admin/currencies - body: { code, name, symbol, countries, active, rate, effectiveFrom } */
+exports.createCurrency = async (req, res, next) => {
+  try {
+    const { updates, error } = await validateCurrencyInput(req.body)
+    if (error) return res.status(400).json({ message: error })
+    const { rate, error: rateError } = validateRate(req.body)
+    if (rateError) return res.status(400).json({ message: rateError })
+
+    const currency = await Currency.create({ ...updates, rates: [{ ...rate, source: 'manual', setBy: req.user._id }], updatedBy: req.user._id })
+    await Audit.create({ admin: req.user._id, action: 'create-currency', meta: { currencyId: currency._id, currency: updates, rate } })
+    res.status(201).json({ currency })
+  } catch (err) { next(err) }
+}
+
+/** Admin PATCH /api/admin/currencies/:id - body: { name, symbol, countries, active, pinned } */
+exports.updateCurrency = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Currency not found' })
+    const currency = await Currency.findById(req.params.id)
+    if (!currency) return res.status(404).json({ message: 'Currency not found' })
+
+    const { updates, error } = await validateCurrencyInput(req.body, currency)
+    if (error) return res.status(400).json({ message: error })
+
+    Object.assign(currency, updates, { updatedBy: req.user._id })
+    await currency.save()
+    await Audit.create({ admin: req.user._id, action: 'update-currency', meta: { currencyId: currency._id, updates } })
+    res.json({ currency })
+  } catch (err) { next(err) }
+}
+
+/**
+ * Admin POST /api/admin/currencies/:id/rates - body: { rate, effectiveFrom, pin }
+ * Appends a manual rate to the history; pin: true also stops the exchange-rates job from replacing it.
+ */
+exports.addRate = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Currency not found' })
+    const currency = await Currency.findById(req.params.id)
+    if (!currency) return res.status(404).json({ message: 'Currency not found' })
+
+    const { rate, error } = validateRate(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    currency.rates.push({ ...rate, source: 'manual', setBy: req.user._id })
+    if (req.body.pin !== undefined) currency.pinned = Boolean(req.body.pin)
+    currency.updatedBy = req.user._id
+    await currency.save()
+    await Audit.create({ admin: req.user._id, action: 'add-currency-rate', meta: { currencyId: currency._id, code: currency.code, rate, pinned: currency.pinned } })
+    res.status(201).json({ currency, current: currency.rateAt() })
+  } catch (err) { next(err) }
+}
+
+/** Admin DELETE /api/admin/currencies/:id - transactions keep their rate snapshot */
+exports.deleteCurrency = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Currency not found' })
+    const currency = await Currency.findByIdAndDelete(req.params.id)
+    if (!currency) return res.status(404).json({ message: 'Currency not found' })
+    await Audit.create({ admin: req.user._id, action: 'delete-currency', meta: { currencyId: currency._id, code: currency.code } })
+    res.json({ message: 'Currency deleted' })
+  } catch (err) { next(err) }
+}
@@ -0,0 +1,105 @@
+// controllers/holidayController.js
+const mongoose = require('mongoose')
+const Holiday = require('../models/Holiday')
+const Audit = require('../models/Audit')
+const { loadCalendar } = require('../utils/calendar')
+const tz = require('../utils/timezone')
+const { getPlatformTimeZone } = require('../utils/calcProfit')
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+
+function validateHolidayInput(body = {}, isCreate = false) {
+  const updates = {}
+  if (body.date !== undefined || isCreate) {
+    if (typeof body.date !== 'string' || !DATE_RE.test(body.date) || Number.isNaN(new Date(body.date).getTime())) {
+      return { error: 'date must be in YYYY-MM-DD format' }
+    }
+    updates.date = body.date
+  }
+  if (body.name !== undefined || isCreate) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') return { error: 'name is required' }
+    updates.name = body.name.trim()
+  }
+  if (body.type !== undefined) {
+    if (!['public-holiday', 'platform-pause'].includes(body.type)) return { error: 'type must be public-holiday or platform-pause' }
+    updates.type = body.type
+  }
+  if (body.countries !== undefined) {
+    if (!Array.isArray(body.countries) || body.countries.some(c => typeof c !== 'string')) return { error: 'countries must be an array of country names' }
+    updates.countries = body.countries.map(c => c.trim()).filter(Boolean)
+  }
+  return { updates }
+}
+
+// Profit for past days has already been accrued (and maybe withdrawn), so the calendar can only change from today on
+function today() {
+  return tz.dateKey(new Date(), getPlatformTimeZone())
+}
+
+/** GET /api/admin/holidays?from=YYYY-MM-DD&to=YYYY-MM-DD (also public at /api/public/holidays) */
+exports.listHolidays = async (req, res, next) => {
+  try {
+    const q = {}
+    if (req.query.from || req.query.to) {
+      q.date = {}
+      if (req.query.from) q.date.$gte = String(req.query.from)
+      if (req.query.to) q.date.$lte = String(req.query.to)
+    }
+    if (req.query.country) q.$or = [{ countries: { $size: 0 } }, { countries: String(req.query.country) }]
+    const holidays = await Holiday.find(q).sort({ date: 1 })
+    res.json({ holidays })
+  } catch (err) { next(err) }
+}
+
+/** Admin POST /api/admin/holidays - body: { date, name, type, countries } */
+exports.createHoliday = async (req, res, next) => {
+  try {
+    const { updates, error } = validateHolidayInput(req.body, true)
+    if (error) return res.status(400).json({ message: error })
+    if (updates.date < today()) return res.status(400).json({ message: 'Holidays cannot be added before today' })
+
+    const holiday = await Holiday.create({ ...updates, updatedBy: req.user._id })
+    await loadCalendar()
+    await Audit.create({ admin: req.user._id, action: 'create-holiday', meta: { holidayId: holiday._id, ...updates } })
+    res.status(201).json({ holiday })
+  } catch (err) { next(err) }
+}
+
+/** Admin PATCH /api/admin/holidays/:id */
+exports.updateHoliday = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Holiday not found' })
+    const { updates, error } = validateHolidayInput(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const existing = await Holiday.findById(req.params.id)
+    if (!existing) return res.status(404).json({ message: 'Holiday not found' })
+    const now = today()
+    if (updates.date !== undefined && updates.date < now) return res.status(400).json({ message: 'Holidays cannot be moved before today' })
+    if (existing.date < now && ['date', 'type', 'countries'].some(k => updates[k] !== undefined)) {
+      return res.status(400).json({ message: 'A past holiday can only be renamed' })
+    }
+
+    const holiday = await Holiday.findByIdAndUpdate(req.params.id, { ...updates, updatedBy: req.user._id }, { new: true, runValidators: true })
+    if (!holiday) return res.status(404).json({ message: 'Holiday not found' })
+    await loadCalendar()
+    await Audit.create({ admin: req.user._id, action: 'update-holiday', meta: { holidayId: holiday._id, updates } })
+    res.json({ holiday })
+  } catch (err) { next(err) }
+}
+
+/** Admin DELETE /api/admin/holidays/:id */
+exports.deleteHoliday = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Holiday not found' })
+    const existing = await Holiday.findById(req.params.id)
+    if (!existing) return res.status(404).json({ message: 'Holiday not found' })
+    if (existing.date < today()) return res.status(400).json({ message: 'A past holiday cannot be deleted' })
+
+    const holiday = await Holiday.findByIdAndDelete(req.params.id)
+    if (!holiday) return res.status(404).json({ message: 'Holiday not found' })
+    await loadCalendar()
+    await Audit.create({ admin: req.user._id, action: 'delete-holiday', meta: { holidayId: holiday._id, date: holiday.date, name: holiday.name } })
+    res.json({ message: 'Holiday deleted' })
+  } catch (err) { next(err) }
+}
@@ -0,0 +1,34 @@
+// controllers/jobsController.js
+const Audit = require('../models/Audit')
+const { jobs, runJob } = require('../jobs')
+
+/** GET /api/cron/:job - triggered by Vercel Cron (see vercel.json) */
+exports.runCronJob = async (req, res, next) => {
+  try {
+    const outcome = await runJob(req.params.job)
+    res.json(outcome)
+  } catch (err) {
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+/** GET /api/admin/jobs - list registered jobs */
+exports.listJobs = async (req, res, next) => {
+  try {
+    const list = Object.entries(jobs).map(([name, job]) => ({ name, intervalMinutes: job.intervalMinutes }))
+    res.json({ jobs: list })
+  } catch (err) { next(err) }
+}
+
+/** POST /api/admin/jobs/:job/run - run a job now */
+exports.runJobNow = async (req, res, next) => {
+  try {
+    const outcome = await runJob(req.params.job)
+    await Audit.create({ admin: req.user._id, action: 'run-job', meta: { job: req.params.job, result: outcome.result } })
+    res.json(outcome)
+  } catch (err) {
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
@@ -0,0 +1,274 @@
+// controllers/payoutController.js
+// Payout batches for approved withdrawals (models/PayoutBatch.js) and their CSV exports for finance.
+const crypto = require('crypto')
+const mongoose = require('mongoose')
+const Transaction = require('../models/Transaction')
+const PayoutBatch = require('../models/PayoutBatch')
+const Audit = require('../models/Audit')
+const tz = require('../utils/timezone')
+const { getPlatformTimeZone } = require('../utils/calcProfit')
+const { toCsv } = require('../utils/csv')
+
+const BANK_COLUMNS = [
+  { key: 'batch', label: 'Batch' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'transactionId', label: 'Transaction ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'amount', label: 'Amount (USD)' },
+  { key: 'rate', label: 'Rate' },
+  { key: 'localAmount', label: 'Local amount' },
+  { key: 'bankName', label: 'Bank' },
+  { key: 'accountName', label: 'Account name' },
+  { key: 'accountNumber', label: 'Account number' },
+  { key: 'branchCode', label: 'Branch code' },
+  { key: 'reference', label: 'Reference' }
+]
+
+const CRYPTO_COLUMNS = [
+  { key: 'batch', label: 'Batch' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'transactionId', label: 'Transaction ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'amount', label: 'Amount (USD)' },
+  { key: 'coin', label: 'Coin' },
+  { key: 'network', label: 'Network' },
+  { key: 'walletAddress', label: 'Wallet address' }
+]
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2))
+}
+
+function methodOf(tx) {
+  return tx.method === 'bank' || tx.method === 'crypto' ? tx.method : 'other'
+}
+
+function payoutAmount(tx) {
+  return Number((tx.details || {}).approvedAmount ?? tx.amount)
+}
+
+// One CSV row for a withdrawal (bank and crypto rows share the common fields)
+function payoutRow(batch, tx) {
+  const details = tx.details || {}
+  const snapshot = details.snapshot || {}
+  const bank = details.bank || {}
+  const wallet = details.crypto || {}
+  const amount = payoutAmount(tx)
+  const rate = tx.currency ? Number(tx.currency.rate) : 1
+  return {
+    batch: batch.reference,
+    currency: tx.currency ? tx.currency.code : 'USD',
+    transactionId: String(tx._id),
+    name: snapshot.name || (tx.user ? `${tx.user.firstName || ''} ${tx.user.lastName || ''}`.trim() : ''),
+    email: snapshot.email || (tx.user && tx.user.email) || '',
+    amount: round2(amount),
+    rate,
+    localAmount: round2(amount * rate),
+    bankName: bank.bankName || bank.bank || '',
+    accountName: bank.accountName || bank.accountHolder || '',
+    accountNumber: bank.accountNumber || '',
+    branchCode: bank.branchCode || bank.swift || '',
+    reference: batch.reference,
+    coin: wallet.currency || wallet.coin || wallet.crypto || '',
+    network: wallet.network || '',
+    walletAddress: wallet.walletAddress || wallet.address || ''
+  }
+}
+
+// Totals per method + currency
+function groupTotals(txs) {
+  const groups = new Map()
+  for (const tx of txs) {
+    const method = methodOf(tx)
+    const currency = tx.currency ? tx.currency.code : 'USD'
+    const key = `${method}:${currency}`
+    const g = groups.get(key) || { method, currency, count: 0, total: 0, localTotal: 0 }
+    const amount = payoutAmount(tx)
+    g.count++
+    g.total = round2(g.total + amount)
+    g.localTotal = round2(g.localTotal + amount * (tx.currency ? Number(tx.currency.rate) : 1))
+    groups.set(key, g)
+  }
+  return Array.from(groups.values()).sort((a, b) => a.method.localeCompare(b.method) || a.currency.localeCompare(b.currency))
+}
+
+function newReference() {
+  const day = tz.dateKey(new Date(), getPlatformTimeZone()).replace(/-/g, '')
+  return `PB-${day}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`
+}
+
+/** Admin GET /api/admin/payouts/pending - approved withdrawals not yet in a batch */
+exports.listUnpaid = async (req, res, next) => {
+  try {
+    const withdrawals = await Transaction.find({ type: 'withdraw', status: 'approved', payoutStatus: 'unpaid' })
+      .sort({ updatedAt: 1 })
+      .populate('user', 'email firstName lastName')
+    res.json({ withdrawals, groups: groupTotals(withdrawals) })
+  } catch (err) { next(err) }
+}
+
+/** Admin GET /api/admin/payouts/batches */
+exports.listBatches = async (req, res, next) => {
+  try {
+    const q = {}
+    if (req.query.status) q.status = req.query.status
+    const batches = await PayoutBatch.find(q).sort({ createdAt: -1 }).limit(200).select('-transactions')
+    res.json({ batches })
+  } catch (err) { next(err) }
+}
+
+/**
+ * Admin POST /api/admin/payouts/batches - body: { transactionIds?, notes? }
+ * Claims every unpaid approved withdrawal (or only the given ones) into a new batch.
+ */
+exports.createBatch = async (req, res, next) => {
+  const { transactionIds, notes } = req.body || {}
+  if (transactionIds !== undefined && (!Array.isArray(transactionIds) || !transactionIds.every(id => mongoose.isValidObjectId(id)))) {
+    return res.status(400).json({ message: 'transactionIds must be a list of transaction ids' })
+  }
+
+  const session = await mongoose.startSession()
+  try {
+    let batch = null
+    await session.withTransaction(async () => {
+      const filter = { type: 'withdraw', status: 'approved', payoutStatus: 'unpaid' }
+      if (transactionIds) filter._id = { $in: transactionIds }
+      const txs = await Transaction.find(filter).select('_id amount details method currency').session(session)
+      if (txs.length === 0) {
+        const e = new Error('No approved withdrawals are waiting for payout')
+        e.statusCode = 400
+        throw e
+      }
+
+      ;[batch] = await PayoutBatch.create([{
+        reference: newReference(),
+        transactions: txs.map(t => t._id),
+        groups: groupTotals(txs),
+        total: round2(txs.reduce((s, t) => s + payoutAmount(t), 0)),
+        createdBy: req.user._id,
+        notes
+      }], { session })
+
+      // the payoutStatus condition makes a concurrent batch lose instead of double-claiming
+      const claimed = await Transaction.updateMany(
+        { _id: { $in: batch.transactions }, payoutStatus: 'unpaid' },
+        { $set: { payoutStatus: 'in_batch', payoutBatch: batch._id, updatedAt: new Date() } },
+        { session }
+      )
+      if (claimed.modifiedCount !== batch.transactions.length) {
+        const e = new Error('Some withdrawals were batched by someone else; please retry')
+        e.statusCode = 409
+        throw e
+      }
+
+      await new Audit({
+        admin: req.user._id,
+        action: 'create-payout-batch',
+        meta: { batchId: batch._id, reference: batch.reference, count: batch.transactions.length, total: batch.total }
+      }).save({ session })
+    })
+    session.endSession()
+
+    res.status(201).json({ batch })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+/** Admin GET /api/admin/payouts/batches/:id */
+exports.getBatch = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Payout batch not found' })
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate({ path: 'transactions', populate: { path: 'user', select: 'email firstName lastName' } })
+    if (!batch) return res.status(404).json({ message: 'Payout batch not found' })
+    res.json({ batch })
+  } catch (err) { next(err) }
+}
+
+/** Admin GET /api/admin/payouts/batches/:id/export?method=bank|crypto - CSV download, rows grouped by currency */
+exports.exportBatch = async (req, res, next) => {
+  try {
+    const method = req.query.method || 'bank'
+    if (!['bank', 'crypto', 'other'].includes(method)) return res.status(400).json({ message: 'method must be bank, crypto or other' })
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Payout batch not found' })
+    const batch = await PayoutBatch.findById(req.params.id)
+    if (!batch) return res.status(404).json({ message: 'Payout batch not found' })
+
+    const txs = await Transaction.find({ _id: { $in: batch.transactions } }).populate('user', 'email firstName lastName')
+    const rows = txs
+      .filter(tx => methodOf(tx) === method)
+      .map(tx => payoutRow(batch, tx))
+      .sort((a, b) => a.currency.localeCompare(b.currency) || a.name.localeCompare(b.name))
+
+    await Audit.create({ admin: req.user._id, action: 'export-payout-batch', meta: { batchId: batch._id, method, rows: rows.length } })
+
+    res.set('Content-Type', 'text/csv; charset=utf-8')
+    res.set('Content-Disposition', `attachment; filename="${batch.reference}-${method}.csv"`)
+    res.send(toCsv(method === 'crypto' ? CRYPTO_COLUMNS : BANK_COLUMNS, rows))
+  } catch (err) { next(err) }
+}
+
+// Close an open batch: paid moves its withdrawals to 'paid', cancelled releases them back to 'unpaid'
+async function closeBatch(req, res, next, outcome) {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Payout batch not found' })
+
+  const session = await mongoose.startSession()
+  try {
+    let batch = null
+    await session.withTransaction(async () => {
+      batch = await PayoutBatch.findById(req.params.id).session(session)
+      if (!batch) {
+        const e = new Error('Payout batch not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (batch.status !== 'open') {
+        const e = new Error(`Payout batch is already ${batch.status}`)
+        e.statusCode = 400
+        throw e
+      }
+
+      const now = new Date()
+      if (outcome === 'paid') {
+        await Transaction.updateMany(
+          { _id: { $in: batch.transactions }, payoutBatch: batch._id, payoutStatus: 'in_batch' },
+          { $set: { payoutStatus: 'paid', paidAt: now, updatedAt: now } },
+          { session }
+        )
+        Object.assign(batch, { status: 'paid', paidAt: now, paidBy: req.user._id })
+      } else {
+        await Transaction.updateMany(
+          { _id: { $in: batch.transactions }, payoutBatch: batch._id, payoutStatus: 'in_batch' },
+          { $set: { payoutStatus: 'unpaid', payoutBatch: null, updatedAt: now } },
+          { session }
+        )
+        Object.assign(batch, { status: 'cancelled', cancelledAt: now, cancelledBy: req.user._id })
+      }
+      await batch.save({ session })
+
+      await new Audit({
+        admin: req.user._id,
+        action: outcome === 'paid' ? 'pay-payout-batch' : 'cancel-payout-batch',
+        meta: { batchId: batch._id, reference: batch.reference, count: batch.transactions.length, total: batch.total }
+      }).save({ session })
+    })
+    session.endSession()
+
+    res.json({ message: outcome === 'paid' ? 'Payout batch marked as paid' : 'Payout batch cancelled', batch })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+/** Admin POST /api/admin/payouts/batches/:id/paid */
+exports.markBatchPaid = (req, res, next) => closeBatch(req, res, next, 'paid')
+
+/** Admin POST /api/admin/payouts/batches/:id/cancel - withdrawals go back to the unpaid queue */
+exports.cancelBatch = (req, res, next) => closeBatch(req, res, next, 'cancelled')
@@ -0,0 +1,154 @@
+// controllers/planController.js
+const mongoose = require('mongoose')
+const Plan = require('../models/Plan')
+const Audit = require('../models/Audit')
+const { planProfitForAmount, addCalendarDays } = require('../utils/calcProfit')
+const { ensureCalendarLoaded } = require('../utils/calendar')
+const { getCurrencyConfig } = require('../utils/currency')
+
+/**
+ * validatePlanInput(body, existing)
+ * Returns { updates } or { error } for create (existing = null) and update.
+ */
+function validatePlanInput(body = {}, existing = null) {
+  const updates = {}
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.trim() === '') return { error: 'Plan name is required' }
+    updates.name = body.name.trim()
+  } else if (!existing) {
+    return { error: 'Plan name is required' }
+  }
+
+  for (const field of ['minAmount', 'ratePercent', 'days']) {
+    if (body[field] === undefined) {
+      if (!existing) return { error: `${field} is required` }
+      continue
+    }
+    const n = Number(body[field])
+    if (Number.isNaN(n) || n < 0) return { error: `${field} must be a non-negative number` }
+    updates[field] = n
+  }
+
+  if (body.maxAmount !== undefined) {
+    if (body.maxAmount === null || body.maxAmount === '') {
+      updates.maxAmount = null
+    } else {
+      const n = Number(body.maxAmount)
+      if (Number.isNaN(n) || n < 0) return { error: 'maxAmount must be a non-negative number or null' }
+      updates.maxAmount = n
+    }
+  }
+
+  if (body.active !== undefined) updates.active = Boolean(body.active)
+
+  const days = updates.days ?? existing?.days
+  if (days !== undefined && (!Number.isInteger(days) || days < 1)) return { error: 'days must be a whole number of at least 1' }
+
+  const min = updates.minAmount ?? existing?.minAmount
+  const max = updates.maxAmount !== undefined ? updates.maxAmount : existing?.maxAmount
+  if (max !== null && max !== undefined && min !== undefined && max < min) return { error: 'maxAmount must be greater than or equal to minAmount' }
+
+  return { updates }
+}
+
+/** Admin GET /api/admin/plans */
+exports.listPlans = async (req, res, next) => {
+  try {
+    const plans = await Plan.getPlans()
+    res.json({ plans })
+  } catch (err) { next(err) }
+}
+
+/** Admin POST /api/admin/plans - body: { name, minAmount, maxAmount, ratePercent, days, active } */
+exports.createPlan = async (req, res, next) => {
+  try {
+    const { updates, error } = validatePlanInput(req.body)
+    if (error) return res.status(400).json({ message: error })
+
+    const plan = await Plan.create({ ...updates, updatedBy: req.user._id })
+    await Audit.create({ admin: req.user._id, action: 'create-plan', meta: { planId: plan._id, plan: updates } })
+    res.status(201).json({ plan })
+  } catch (err) { next(err) }
+}
+
+/** Admin PATCH /api/admin/plans/:id */
+exports.updatePlan = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Plan not found' })
+    const plan = await Plan.findById(req.params.id)
+    if (!plan) return res.status(404).json({ message: 'Plan not found' })
+
+    const { updates, error } = validatePlanInput(req.body, plan)
+    if (error) return res.status(400).json({ message: error })
+
+    Object.assign(plan, updates, { updatedBy: req.user._id })
+    await plan.save()
+    await Audit.create({ admin: req.user._id, action: 'update-plan', meta: { planId: plan._id, updates } })
+    res.json({ plan })
+  } catch (err) { next(err) }
+}
+
+/** Admin DELETE /api/admin/plans/:id - approved deposits keep their snapshot */
+exports.deletePlan = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: 'Plan not found' })
+    const plan = await Plan.findByIdAndDelete(req.params.id)
+    if (!plan) return res.status(404).json({ message: 'Plan not found' })
+    await Audit.create({ admin: req.user._id, action: 'delete-plan', meta: { planId: plan._id, name: plan.name } })
+    res.json({ message: 'Plan deleted' })
+  } catch (err) { next(err) }
+}
+
+/** Public GET /api/public/plans - active plans for the deposit form */
+exports.listActivePlans = async (req, res, next) => {
+  try {
+    const plans = await Plan.getPlans({ active: true })
+    res.json({ plans: plans.map(p => ({ _id: p._id, ...p.toSnapshot() })) })
+  } catch (err) { next(err) }
+}
+
+/**
+ * Public GET /api/public/plans/quote?amount=&planId=&country=
+ * Projection for a deposit starting now, using the same plan selection and business-day maths as
+ * the server (planProfitForAmount). Amounts are in the base currency; `local` converts them at the
+ * country's current rate when it has a currency.
+ */
+exports.quotePlan = async (req, res, next) => {
+  try {
+    const amount = Number(req.query.amount)
+    if (!amount || Number.isNaN(amount) || amount <= 0) return res.status(400).json({ message: 'Invalid amount' })
+    const country = req.query.country ? String(req.query.country) : undefined
+
+    const { plan, error } = await Plan.resolve(amount, req.query.planId)
+    if (error) return res.status(400).json({ message: error })
+
+    await ensureCalendarLoaded()
+    const startDate = new Date()
+    const projection = planProfitForAmount(amount, plan.ratePercent, plan.days, { startDate, country })
+    const payoutDate = addCalendarDays(startDate, plan.days)
+
+    // null when the country has no active currency; the quote is then in USD only
+    const currency = await getCurrencyConfig(country)
+    let local = null
+    if (currency) {
+      const toLocal = n => Number((n * currency.rate).toFixed(2))
+      local = {
+        amount: toLocal(amount),
+        dailyProfit: toLocal(projection.dailyProfit),
+        totalProfit: toLocal(projection.totalProfit),
+        totalAfter: toLocal(projection.totalAfter)
+      }
+    }
+
+    res.json({
+      plan: { _id: plan._id, ...plan.toSnapshot() },
+      amount,
+      ...projection,
+      startDate,
+      payoutDate,
+      currency,
+      local
+    })
+  } catch (err) { next(err) }
+}
@@ -1,73 +1,260 @@
 // controllers/settingsController.js
+const crypto = require('crypto')
 const Setting = require('../models/Setting')
+const Audit = require('../models/Audit')
+const { normalizeNetwork, validateCryptoAddress } = require('../utils/cryptoAddress')
+
+const ID_RE = /^[a-z0-9][a-z0-9-]{1,49}$/
+
+// details fields per payment method type; `required` must be non-empty strings
+const DETAIL_FIELDS = {
+  bank: { required: ['bankName', 'accountName', 'accountNumber'], optional: ['branchCode', 'swift', 'reference'] },
+  crypto: { required: ['crypto', 'address'], optional: ['network', 'memo'] }
+}
+
+// Returns { details } or { error } for the details object of a `type` method
+function validateDetails(type, details) {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) return { error: 'details must be an object' }
+  const out = {}
+
+  if (type === 'other') {
+    for (const [key, value] of Object.entries(details)) {
+      if (typeof value !== 'string' && typeof value !== 'number') return { error: `details.${key} must be a string or number` }
+      out[key] = typeof value === 'string' ? value.trim() : value
+    }
+    return { details: out }
+  }
+
+  const { required, optional } = DETAIL_FIELDS[type]
+  const unknown = Object.keys(details).filter(k => !required.includes(k) && !optional.includes(k))
+  if (unknown.length) return { error: `Unknown ${type} details: ${unknown.join(', ')} (allowed: ${required.concat(optional).join(', ')})` }
+  for (const field of required.concat(optional)) {
+    const value = details[field]
+    if (value === undefined || value === null || value === '') {
+      if (required.includes(field)) return { error: `details.${field} is required for ${type} methods` }
+      continue
+    }
+    if (typeof value !== 'string') return { error: `details.${field} must be a string` }
+    out[field] = value.trim()
+  }
+
+  // the deposit address is checked against its network when it can be told (network, or a coin name like 'Bitcoin')
+  if (type === 'crypto') {
+    const network = normalizeNetwork(out.network) || normalizeNetwork(out.crypto)
+    if (network) {
+      const checked = validateCryptoAddress(network, out.address)
+      if (checked.error) return { error: checked.error }
+      out.address = checked.address
+      if (out.network) out.network = checked.network
+    }
+  }
+  return { details: out }
+}
+
+function isLimit(v) {
+  return v === null || (typeof v === 'number' && v >= 0) || (typeof v === 'string' && v.trim() !== '' && Number(v) >= 0)
+}
 
 /**
- * defaultPaymentMethods()
- * Provides an initial default settings doc if none exists.
+ * validatePaymentMethodInput(body, existing, methods)
+ * Returns { updates } or { error } for create (existing = null) and update. `methods` is the current
+ * list, used to keep ids unique.
  */
-function defaultPaymentMethods() {
-  return [
-    {
-      id: 'bank-default',
-      type: 'bank',
-      label: 'Bank transfer',
-      details: {
-        bankName: 'FnB',
-        accountName: 'Gainbridge',
-        accountNumber: '62509963139',
-        reference: '0657350788'
-      },
-      content: `Make exact payment and use the reference. Note: Transfer from Capitec Bank is not allowed`
-    },
-    {
-      id: 'crypto-default',
-      type: 'crypto',
-      label: 'Bitcoin',
-      details: {
-        crypto: 'Bitcoin',
-        address: '3Liim5xHAkLEgUjzfw2DNFqbEkzaXgWWu8'
-      },
-      content: 'Make exact payment of the amount required.'
+function validatePaymentMethodInput(body = {}, existing = null, methods = []) {
+  const updates = {}
+
+  if (!existing) {
+    if (!['bank', 'crypto', 'other'].includes(body.type)) return { error: 'type must be bank, crypto or other' }
+    updates.type = body.type
+    if (body.id !== undefined) {
+      if (typeof body.id !== 'string' || !ID_RE.test(body.id)) return { error: 'id must be 2-50 lowercase letters, digits or dashes' }
+      updates.id = body.id
+    } else {
+      updates.id = `${body.type}-${crypto.randomBytes(3).toString('hex')}`
     }
-  ]
+    if (methods.some(m => m.id === updates.id)) return { error: `A payment method with id ${updates.id} already exists` }
+  } else if (body.type !== undefined && body.type !== existing.type) {
+    if (!['bank', 'crypto', 'other'].includes(body.type)) return { error: 'type must be bank, crypto or other' }
+    if (body.details === undefined) return { error: 'details are required when changing the type' }
+    updates.type = body.type
+  }
+
+  const type = updates.type || existing.type
+  if (body.details !== undefined || !existing) {
+    const { details, error } = validateDetails(type, body.details || {})
+    if (error) return { error }
+    updates.details = details
+  }
+
+  if (body.label !== undefined || !existing) {
+    if (typeof body.label !== 'string' || body.label.trim() === '') return { error: 'label must be a non-empty string' }
+    updates.label = body.label.trim()
+  }
+  if (body.content !== undefined) {
+    if (typeof body.content !== 'string') return { error: 'content must be a string' }
+    updates.content = body.content
+  }
+  if (body.enabled !== undefined) updates.enabled = Boolean(body.enabled)
+
+  if (body.countries !== undefined) {
+    if (!Array.isArray(body.countries) || body.countries.some(c => typeof c !== 'string')) return { error: 'countries must be an array of country names' }
+    updates.countries = Array.from(new Set(body.countries.map(c => c.trim()).filter(Boolean)))
+  }
+
+  for (const field of ['minDeposit', 'maxDeposit']) {
+    if (body[field] === undefined) continue
+    if (!isLimit(body[field])) return { error: `${field} must be a non-negative number or null` }
+    updates[field] = body[field] === null ? null : Number(body[field])
+  }
+  const min = updates.minDeposit !== undefined ? updates.minDeposit : existing?.minDeposit ?? null
+  const max = updates.maxDeposit !== undefined ? updates.maxDeposit : existing?.maxDeposit ?? null
+  if (min !== null && max !== null && max < min) return { error: 'maxDeposit must be greater than or equal to minDeposit' }
+
+  if (body.currency !== undefined) {
+    if (body.currency !== null && (typeof body.currency !== 'string' || !/^[A-Za-z]{3}$/.test(body.currency.trim()))) {
+      return { error: 'currency must be a 3-letter currency code or null' }
+    }
+    updates.currency = body.currency === null ? null : body.currency.trim().toUpperCase()
+  }
+  if (body.order !== undefined) {
+    if (!Number.isInteger(Number(body.order))) return { error: 'order must be an integer' }
+    updates.order = Number(body.order)
+  }
+
+  return { updates }
 }
 
-/** Public GET /api/settings */
+/**
+ * Public GET /api/settings?country=
+ * Only enabled payment methods offered in the caller's country (the signed-in user's, else ?country=).
+ */
 exports.getPublicSettings = async (req, res, next) => {
   try {
-    let settings = await Setting.findOne().lean()
-    if (!settings) {
-      // create a default settings doc
-      settings = await Setting.create({ paymentMethods: defaultPaymentMethods() })
-    }
-    res.json({ settings })
+    const settings = await Setting.getSettings()
+    const country = (req.user && req.user.country) || (req.query.country ? String(req.query.country) : null)
+    res.json({
+      settings: {
+        paymentMethods: settings.sortedPaymentMethods().filter(m => m.appliesTo(country)).map(m => m.toObject()),
+        updatedAt: settings.updatedAt
+      }
+    })
   } catch (err) { next(err) }
 }
 
 /** Admin GET /api/admin/settings (protected by admin middleware in route) */
 exports.getAdminSettings = async (req, res, next) => {
   try {
-    let settings = await Setting.findOne()
-    if (!settings) {
-      settings = await Setting.create({ paymentMethods: defaultPaymentMethods() })
-    }
+    const settings = await Setting.getSettings()
     res.json({ settings })
   } catch (err) { next(err) }
 }
 
-/** Admin PUT /api/admin/settings - body: { settings } or { paymentMethods: [...] } */
+// Fields of `body` that differ from the saved method (id and timestamps are never taken from the client)
+function changedFields(body, existing) {
+  const saved = existing.toObject()
+  const changed = {}
+  for (const [key, value] of Object.entries(body)) {
+    if (['id', 'createdAt', 'updatedAt'].includes(key)) continue
+    if (JSON.stringify(value) !== JSON.stringify(saved[key])) changed[key] = value
+  }
+  return changed
+}
+
+/**
+ * Admin PUT /api/admin/settings - body: { settings } or { paymentMethods: [...] } (replaces the whole list)
+ * Entries whose id is already saved keep their stored values; only the fields that changed are validated,
+ * so a list loaded from GET /api/admin/settings (older ids and details included) can be saved back as is.
+ */
 exports.updateAdminSettings = async (req, res, next) => {
   try {
     const incoming = req.body.settings || { paymentMethods: req.body.paymentMethods }
     if (!incoming) return res.status(400).json({ message: 'No settings provided' })
 
-    const updates = {}
-    if (incoming.paymentMethods) updates.paymentMethods = incoming.paymentMethods
-
-    updates.updatedAt = new Date()
+    const settings = await Setting.getSettings()
+    if (incoming.paymentMethods) {
+      if (!Array.isArray(incoming.paymentMethods)) return res.status(400).json({ message: 'paymentMethods must be an array' })
+      const methods = []
+      for (const [i, body] of incoming.paymentMethods.entries()) {
+        const existing = body && settings.paymentMethods.find(m => m.id === body.id)
+        if (existing) {
+          if (methods.some(m => m.id === existing.id)) return res.status(400).json({ message: `paymentMethods[${i}]: duplicate id ${existing.id}` })
+          const changed = changedFields(body, existing)
+          const { updates, error } = validatePaymentMethodInput(changed, existing, methods)
+          if (error) return res.status(400).json({ message: `paymentMethods[${i}]: ${error}` })
+          const updatedAt = Object.keys(updates).length ? new Date() : existing.updatedAt
+          methods.push({ ...existing.toObject(), ...updates, updatedAt })
+          continue
+        }
+        const { updates, error } = validatePaymentMethodInput(body, null, methods)
+        if (error) return res.status(400).json({ message: `paymentMethods[${i}]: ${error}` })
+        methods.push({ order: i, ...updates })
+      }
+      settings.paymentMethods = methods
+    }
 
-    // upsert the singleton settings doc
-    const settings = await Setting.findOneAndUpdate({}, updates, { new: true, upsert: true, setDefaultsOnInsert: true })
+    settings.updatedAt = new Date()
+    await settings.save()
+    await Audit.create({ admin: req.user._id, action: 'update-payment-methods', meta: { count: settings.paymentMethods.length } })
     res.json({ settings })
   } catch (err) { next(err) }
 }
+
+/** Admin GET /api/admin/payment-methods - every method, disabled ones included, in display order */
+exports.listPaymentMethods = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings()
+    res.json({ paymentMethods: settings.sortedPaymentMethods() })
+  } catch (err) { next(err) }
+}
+
+/**
+ * Admin POST /api/admin/payment-methods
+ * body: { id?, type, label, details, content, enabled, countries, minDeposit, maxDeposit, currency, order }
+ */
+exports.createPaymentMethod = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings()
+    const { updates, error } = validatePaymentMethodInput(req.body, null, settings.paymentMethods)
+    if (error) return res.status(400).json({ message: error })
+
+    settings.paymentMethods.push(updates)
+    settings.updatedAt = new Date()
+    await settings.save()
+    await Audit.create({ admin: req.user._id, action: 'create-payment-method', meta: { methodId: updates.id, method: updates } })
+    res.status(201).json({ paymentMethod: settings.paymentMethods.find(m => m.id === updates.id) })
+  } catch (err) { next(err) }
+}
+
+/** Admin PATCH /api/admin/payment-methods/:methodId - any of the create fields except id */
+exports.updatePaymentMethod = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings()
+    const method = settings.paymentMethods.find(m => m.id === req.params.methodId)
+    if (!method) return res.status(404).json({ message: 'Payment method not found' })
+    if (req.body.id !== undefined && req.body.id !== method.id) return res.status(400).json({ message: 'id cannot be changed' })
+
+    const { updates, error } = validatePaymentMethodInput(req.body, method, settings.paymentMethods)
+    if (error) return res.status(400).json({ message: error })
+
+    method.set({ ...updates, updatedAt: new Date() })
+    settings.updatedAt = new Date()
+    await settings.save()
+    await Audit.create({ admin: req.user._id, action: 'update-payment-method', meta: { methodId: method.id, updates } })
+    res.json({ paymentMethod: method })
+  } catch (err) { next(err) }
+}
+
+/** Admin DELETE /api/admin/payment-methods/:methodId - deposits keep their own copy of the method */
+exports.deletePaymentMethod = async (req, res, next) => {
+  try {
+    const settings = await Setting.getSettings()
+    const method = settings.paymentMethods.find(m => m.id === req.params.methodId)
+    if (!method) return res.status(404).json({ message: 'Payment method not found' })
+
+    settings.paymentMethods = settings.paymentMethods.filter(m => m.id !== method.id)
+    settings.updatedAt = new Date()
+    await settings.save()
+    await Audit.create({ admin: req.user._id, action: 'delete-payment-method', meta: { methodId: method.id, type: method.type, label: method.label } })
+    res.json({ message: 'Payment method deleted' })
+  } catch (err) { next(err) }
+}
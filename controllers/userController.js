@@ -1,150 +1,112 @@
+const mongoose = require('mongoose')
 const Transaction = require('../models/Transaction')
 const User = require('../models/User')
 const AdminSettings = require('../models/AdminSettings') // Add this import
 const Audit = require('../models/Audit')
-const { profitForDeposit } = require('../utils/calcProfit')
+const Plan = require('../models/Plan')
+const AccrualSnapshot = require('../models/AccrualSnapshot')
+const Beneficiary = require('../models/Beneficiary')
+const Setting = require('../models/Setting')
+const ledger = require('../utils/ledger')
+const tz = require('../utils/timezone')
+const { getPlatformTimeZone, addCalendarDays, depositEndDate } = require('../utils/calcProfit')
 const { sendMail, sendAdminNotification } = require('../utils/email')
+const { getCurrencyConfig } = require('../utils/currency')
+const { getWithdrawalLimits, checkWithdrawalLimits } = require('../utils/withdrawalLimits')
+const { scheduleStatus } = require('../utils/withdrawalSchedule')
 
-// Currency configuration for supported countries
-const CURRENCY_CONFIG = {
-  'South Africa': { code: 'ZAR', rate: 17, symbol: 'R' },
-  'Nigeria': { code: 'NGN', rate: 1500, symbol: '₦' },
-  'Ghana': { code: 'GHS', rate: 12.50, symbol: 'GH₵' },
-  'Philippines': { code: 'PHP', rate: 58, symbol: '₱' }
-};
-
-// Helper function to get currency config for a country
-function getCurrencyConfig(country) {
-  return CURRENCY_CONFIG[country] || null;
-}
-
-// Helper function to check if withdrawal is allowed based on schedule
+// Helper function to check if withdrawal is allowed right now (schedule, hours, blackouts, pause switch)
 async function isWithdrawalAllowed() {
   try {
     const settings = await AdminSettings.getSettings()
-    const today = new Date()
-    const dayOfWeek = today.getDay() // 0 = Sunday, 1 = Monday, ..., 6 = Saturday
-    
-    if (settings.withdrawalScheduleType === 'daysOfWeek') {
-      return settings.withdrawalDaysOfWeek.includes(dayOfWeek)
-    } else if (settings.withdrawalScheduleType === 'interval') {
-      // Calculate days since epoch and check if it's divisible by interval
-      const epochDay = Math.floor(today.getTime() / (1000 * 60 * 60 * 24))
-      return epochDay % settings.withdrawalIntervalDays === 0
-    }
-    
-    return true // Default to allowed if no schedule set
+    const timeZone = settings.timezone || getPlatformTimeZone()
+    return scheduleStatus(settings, new Date(), timeZone).open
   } catch (error) {
     console.error('Error checking withdrawal schedule:', error)
     return true // Default to allowed on error
   }
 }
 
-// Helper function to get next withdrawal date information
+// Helper function to get next withdrawal date information.
+// nextWithdrawalDate / nextOpenAt is the exact instant the next withdrawal window opens (platform timezone);
+// closesAt is when the current window closes while withdrawals are open.
 async function getNextWithdrawalInfo() {
   try {
     const settings = await AdminSettings.getSettings()
-    const today = new Date()
-    
+    const timeZone = settings.timezone || getPlatformTimeZone()
+    const now = new Date()
+    const status = scheduleStatus(settings, now, timeZone)
+    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+    const info = {
+      allowedToday: status.allowedToday,
+      allowedNow: status.open,
+      nextWithdrawalDate: status.nextOpenAt,
+      nextOpenAt: status.nextOpenAt,
+      closesAt: status.open ? status.closesAt : null,
+      nextWithdrawalDay: status.nextOpenAt ? dayNames[tz.zonedParts(status.nextOpenAt, timeZone).weekday] : null,
+      daysUntilNext: status.nextOpenAt ? tz.epochDay(status.nextOpenAt, timeZone) - tz.epochDay(now, timeZone) : null,
+      scheduleType: settings.withdrawalScheduleType,
+      hours: (settings.withdrawalHours && settings.withdrawalHours.start) || (settings.withdrawalHours && settings.withdrawalHours.end)
+        ? { start: settings.withdrawalHours.start || '00:00', end: settings.withdrawalHours.end || '24:00' }
+        : null,
+      paused: status.paused,
+      pausedMessage: status.pausedMessage,
+      blackout: status.blackout,
+      upcomingBlackouts: (settings.withdrawalBlackoutDates || []).filter(b => b.date >= tz.dateKey(now, timeZone)).map(b => ({ date: b.date, reason: b.reason })),
+      timezone: timeZone
+    }
     if (settings.withdrawalScheduleType === 'daysOfWeek') {
-      const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
-      const nextWithdrawalDays = settings.withdrawalDaysOfWeek
-        .map(day => {
-          const daysUntil = (day - today.getDay() + 7) % 7
-          return daysUntil === 0 ? 7 : daysUntil // If today is a withdrawal day, show next week
-        })
-        .sort((a, b) => a - b)
-      
-      const nextDay = nextWithdrawalDays[0] || 7
-      const nextDate = new Date(today)
-      nextDate.setDate(today.getDate() + nextDay)
-      
-      return {
-        allowedToday: settings.withdrawalDaysOfWeek.includes(today.getDay()),
-        nextWithdrawalDate: nextDate,
-        nextWithdrawalDay: dayNames[nextDate.getDay()],
-        scheduleType: 'daysOfWeek',
-        withdrawalDays: settings.withdrawalDaysOfWeek.map(day => dayNames[day])
-      }
+      info.withdrawalDays = settings.withdrawalDaysOfWeek.map(day => dayNames[day])
     } else if (settings.withdrawalScheduleType === 'interval') {
-      const epochDay = Math.floor(today.getTime() / (1000 * 60 * 60 * 24))
-      const daysUntilNext = settings.withdrawalIntervalDays - (epochDay % settings.withdrawalIntervalDays)
-      const nextDate = new Date(today)
-      nextDate.setDate(today.getDate() + daysUntilNext)
-      
-      return {
-        allowedToday: epochDay % settings.withdrawalIntervalDays === 0,
-        nextWithdrawalDate: nextDate,
-        intervalDays: settings.withdrawalIntervalDays,
-        scheduleType: 'interval'
-      }
+      info.intervalDays = settings.withdrawalIntervalDays
     }
-    
-    return { allowedToday: true }
+    return info
   } catch (error) {
     console.error('Error getting next withdrawal info:', error)
-    return { allowedToday: true }
+    return { allowedToday: true, allowedNow: true }
   }
 }
 
-/**
- * computeNetProfit(user)
- *
- * Returns a Number (rounded to 2 decimals) representing the user's available net profit.
- */
-async function computeNetProfit(user) {
-  // 1) compute gross profit from active deposits
-  let totalProfit = 0
-  for (const dep of user.deposits || []) {
-    if (dep.status === 'active') {
-      try {
-        totalProfit += profitForDeposit(dep, new Date())
-      } catch (err) {
-        // if profitForDeposit fails for a deposit, skip it but continue
-        console.warn('profitForDeposit error for dep', dep._id || '(unknown)', err?.message || err)
-      }
-    }
-  }
+// Optional Idempotency-Key header sent with deposit/withdraw requests
+function getIdempotencyKey(req) {
+  const raw = req.get('Idempotency-Key')
+  if (raw === undefined || raw === null) return null
+  const key = String(raw).trim()
+  return key || null
+}
 
-  totalProfit = Number(totalProfit || 0)
+// Response body for a submitted deposit/withdraw request (shared by the first call and replays)
+function submittedResponse(tx) {
+  return {
+    message: tx.type === 'withdraw' ? 'Withdrawal request submitted' : 'Deposit request submitted',
+    transactionId: tx._id
+  }
+}
 
-  // 2) fetch approved withdraw transactions for this user and sum amounts that were taken from netProfit
-  let withdrawnFromNet = 0
+// If the key was already used by this user, answer with the original request and return true
+async function replayIdempotentRequest(res, userId, key, type) {
+  if (!key) return false
+  const existing = await Transaction.findOne({ user: userId, idempotencyKey: key })
+  if (!existing) return false
+  if (existing.type !== type) {
+    res.status(409).json({ message: 'Idempotency-Key was already used for a different request' })
+    return true
+  }
+  res.set('Idempotent-Replayed', 'true')
+  res.json(submittedResponse(existing))
+  return true
+}
 
+// Save a new request; if a concurrent call with the same key won the race, replay that one instead
+async function saveIdempotentRequest(res, tx, key) {
   try {
-    const approvedWithdraws = await Transaction.find({ user: user._id, type: 'withdraw', status: 'approved' }).select('details amount').lean()
-
-    for (const tx of approvedWithdraws || []) {
-      const details = tx.details || {}
-      const approvedAmount = Number(details.approvedAmount ?? tx.amount ?? 0)
-
-      // If an explicit breakdown exists (added by admin flow), use it
-      if (details.approvedBreakdown && typeof details.approvedBreakdown.fromNet === 'number') {
-        withdrawnFromNet += Number(details.approvedBreakdown.fromNet || 0)
-        continue
-      }
-
-      // Otherwise attempt inference using snapshot (snapshot is captured at withdrawal creation)
-      const snapshot = details.snapshot || {}
-      const snapshotNet = Number(snapshot.netProfit || 0)
-
-      // Heuristic: withdrawals take from net first, then referral; so fromNet is min(snapshotNet, approvedAmount)
-      const inferredFromNet = Math.min(snapshotNet, approvedAmount)
-      withdrawnFromNet += inferredFromNet
-    }
+    await tx.save()
+    return true
   } catch (err) {
-    // non-fatal: if we can't read transactions, continue with grossProfit only.
-    console.warn('computeNetProfit: could not read approved withdraws for inference', err?.message || err)
+    if (key && err && err.code === 11000 && await replayIdempotentRequest(res, tx.user, key, tx.type)) return false
+    throw err
   }
-
-  // 3) compute final netProfit available = grossProfit - withdrawnFromNet
-  let availableNet = Number((totalProfit - withdrawnFromNet) || 0)
-
-  // clamp to >= 0 and round to two decimals
-  if (availableNet < 0) availableNet = 0
-  availableNet = Number(availableNet.toFixed(2))
-
-  return availableNet
 }
 
 // GET /users/:id/overview
@@ -155,66 +117,28 @@ exports.getOverview = async (req, res, next) => {
     const user = await User.findById(id)
     if (!user) return res.status(404).json({ message: 'User not found' })
 
-    // === Handle matured deposits: if any active deposit has passed the 60-day window,
-    // mark it completed and deduct its capital from user.capital. The profit remains accounted for
-    // by computeNetProfit which is capped at 60 days.
-    const now = new Date()
-    let madeChanges = false
-    if (Array.isArray(user.deposits) && user.deposits.length > 0) {
-      for (const dep of user.deposits) {
-        if (dep && dep.status === 'active') {
-          // Accept startDate or approvedAt as the deposit start
-          const startCandidate = dep.startDate || dep.approvedAt
-          if (!startCandidate) continue
-
-          const s = new Date(startCandidate)
-          const end = new Date(s)
-          end.setDate(end.getDate() + 60)
-          // if the period has completed, finalize the deposit
-          if (now >= end) {
-            dep.status = 'completed'
-            // set endDate (useful for future profit capping and audit)
-            dep.endDate = end
-            // Ensure startDate is set for consistency (persist approvedAt into startDate if missing)
-            if (!dep.startDate && dep.approvedAt) {
-              dep.startDate = dep.approvedAt
-            }
-            // Deduct the original capital from user's capital balance
-            const depositAmount = Number(dep.amount || 0)
-            user.capital = Number(user.capital || 0) - depositAmount
-            if (user.capital < 0) user.capital = 0
-            madeChanges = true
-          }
-        }
-      }
-    }
-
-    // If we mutated user (deposits or capital), persist now — later we will save after netProfit calc as well,
-    // but saving here ensures other concurrent logic sees the updated deposit states.
-    if (madeChanges) {
-      // ensure mongoose marks modified subdocuments
-      await user.save()
-    }
-
-    // Recalculate netProfit (now subtracts previously-approved withdrawals)
-    const calcProfit = await computeNetProfit(user)
-
-    // Persist the adjusted netProfit so other flows see the corrected value
-    user.netProfit = calcProfit
+    // Deposit maturity is handled by the deposit-maturity job (jobs/depositMaturity.js), not on read.
+    // Post profit accrued since the last visit and refresh the cached balances from the ledger
+    await ledger.accrueProfit(user)
     await user.save()
 
-    const totalPortfolio = Number(user.capital) + Number(user.netProfit) + Number(user.referralEarnings)
+    // netProfit / referralEarnings exclude what pending withdrawal requests have reserved
+    const reservedForWithdrawals = await ledger.getHeldBalance(user._id)
+    const totalPortfolio = Number(user.capital) + Number(user.netProfit) + Number(user.referralEarnings) + reservedForWithdrawals
     
     // Get withdrawal restriction info and schedule info
     const withdrawalInfo = await getNextWithdrawalInfo()
+    const withdrawalLimits = await getWithdrawalLimits(user)
     
     // Add currency information to overview response
-    const currencyConfig = getCurrencyConfig(user.country);
+    const currencyConfig = await getCurrencyConfig(user.country)
     const overviewResponse = {
       overview: {
         capital: Number(user.capital),
         netProfit: Number(user.netProfit),
         referralEarnings: Number(user.referralEarnings),
+        reservedForWithdrawals,
+        availableForWithdrawal: Number((Number(user.netProfit) + Number(user.referralEarnings)).toFixed(2)),
         totalPortfolio,
         deposits: user.deposits,
         // Include currency info for frontend display
@@ -230,7 +154,9 @@ exports.getOverview = async (req, res, next) => {
         withdrawalRestricted: user.withdrawalRestricted,
         withdrawalRestrictionReason: user.withdrawalRestrictionReason,
         // Include withdrawal schedule info
-        withdrawalSchedule: withdrawalInfo
+        withdrawalSchedule: withdrawalInfo,
+        // Limits that apply to this user and what is left in the current day / week / month
+        withdrawalLimits
       }
     }
 
@@ -248,6 +174,81 @@ exports.getTransactions = async (req, res, next) => {
   } catch (err) { next(err) }
 }
 
+const DATE_KEY_RE = /^\d{4}-\d{2}-\d{2}$/
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// A real calendar date in YYYY-MM-DD form (2024-02-30 passes the pattern but not this)
+function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_KEY_RE.test(value)) return false
+  const d = new Date(`${value}T00:00:00Z`)
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value
+}
+
+// Bucket key of a YYYY-MM-DD date: the day itself, the Monday starting its week, or YYYY-MM
+function earningsPeriod(dateKey, granularity) {
+  if (granularity === 'month') return dateKey.slice(0, 7)
+  if (granularity === 'week') {
+    const d = new Date(`${dateKey}T00:00:00Z`)
+    const monday = new Date(d.getTime() - ((d.getUTCDay() + 6) % 7) * DAY_MS)
+    return monday.toISOString().slice(0, 10)
+  }
+  return dateKey
+}
+
+/**
+ * GET /users/:id/earnings?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month
+ *
+ * Profit earned per period from the daily accrual snapshots (jobs/accrualSnapshots.js).
+ * Defaults to the last 30 days by day. `cumulative` includes everything earned before `from`.
+ * Only completed days are snapshotted, so today's partial profit is not part of the series.
+ */
+exports.getEarnings = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    if (req.user._id.toString() !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
+
+    const granularity = req.query.granularity || 'day'
+    if (!['day', 'week', 'month'].includes(granularity)) return res.status(400).json({ message: 'granularity must be day, week or month' })
+
+    const user = await User.findById(id).select('timezone')
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const timeZone = tz.isValidTimeZone(user.timezone) ? user.timezone : getPlatformTimeZone()
+    const to = req.query.to || tz.dateKey(new Date(), timeZone)
+    if (!isDateKey(to)) return res.status(400).json({ message: 'from and to must be YYYY-MM-DD dates' })
+    const from = req.query.from || new Date(new Date(`${to}T00:00:00Z`).getTime() - 29 * DAY_MS).toISOString().slice(0, 10)
+    if (!isDateKey(from)) return res.status(400).json({ message: 'from and to must be YYYY-MM-DD dates' })
+    if (from > to) return res.status(400).json({ message: 'from must not be after to' })
+
+    const [earlier] = await AccrualSnapshot.aggregate([
+      { $match: { user: user._id, date: { $lt: from } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+    const rows = await AccrualSnapshot.aggregate([
+      { $match: { user: user._id, date: { $gte: from, $lte: to } } },
+      { $group: { _id: '$date', amount: { $sum: '$amount' } } },
+      { $sort: { _id: 1 } }
+    ])
+
+    const buckets = new Map()
+    for (const row of rows) {
+      const period = earningsPeriod(row._id, granularity)
+      buckets.set(period, (buckets.get(period) || 0) + row.amount)
+    }
+
+    let cumulative = earlier ? earlier.amount : 0
+    let total = 0
+    const series = []
+    for (const [period, amount] of buckets) {
+      cumulative += amount
+      total += amount
+      series.push({ period, profit: Number(amount.toFixed(2)), cumulative: Number(cumulative.toFixed(2)) })
+    }
+
+    res.json({ from, to, granularity, timezone: timeZone, total: Number(total.toFixed(2)), series })
+  } catch (err) { next(err) }
+}
+
 /**
  * GET /users/:id/referrals
  *
@@ -272,7 +273,6 @@ exports.getReferrals = async (req, res, next) => {
     // Build query to find live referred users:
     const refQuery = { $or: [] }
     if (userDoc._id) refQuery.$or.push({ referredBy: userDoc._id })
-    if (userDoc.username) refQuery.$or.push({ referredBy: userDoc.username })
     if (emailsFromSnapshot.length > 0) refQuery.$or.push({ email: { $in: emailsFromSnapshot } })
 
     const liveReferred = (refQuery.$or.length > 0)
@@ -350,7 +350,7 @@ exports.getReferrals = async (req, res, next) => {
 
 /**
  * Unified profile update handler used for both PUT and PATCH routes.
- * Accepts only these updatable fields: firstName, lastName, phone, email, country
+ * Accepts only these updatable fields: firstName, lastName, phone, email, country, timezone
  */
 async function handleUpdateProfile(req, res, next) {
   try {
@@ -360,7 +360,7 @@ async function handleUpdateProfile(req, res, next) {
     if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
 
     // Only accept known fields
-    const allowed = ['firstName', 'lastName', 'phone', 'email', 'country']
+    const allowed = ['firstName', 'lastName', 'phone', 'email', 'country', 'timezone']
     const updates = {}
     for (const key of allowed) {
       if (Object.prototype.hasOwnProperty.call(req.body, key)) {
@@ -375,6 +375,10 @@ async function handleUpdateProfile(req, res, next) {
       updates.email = updates.email.toLowerCase()
     }
 
+    if (updates.timezone && !tz.isValidTimeZone(updates.timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' })
+    }
+
     // Load user, apply updates, save (so mongoose hooks run)
     const user = await User.findById(id)
     if (!user) return res.status(404).json({ message: 'User not found' })
@@ -414,10 +418,15 @@ exports.createWithdrawRequest = async (req, res, next) => {
     const id = req.params.id
     const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user))
     if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
-    const { method, amount, bank, crypto } = req.body
+    const { method, amount, beneficiaryId } = req.body
+    const idempotencyKey = getIdempotencyKey(req)
+    if (idempotencyKey && idempotencyKey.length > 255) return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' })
     const user = await User.findById(id)
     if (!user) return res.status(404).json({ message: 'User not found' })
 
+    // A retried request (same Idempotency-Key) gets the original response, not a second transaction
+    if (await replayIdempotentRequest(res, user._id, idempotencyKey, 'withdraw')) return
+
     // Check if user is restricted from withdrawal
     if (user.withdrawalRestricted) {
       return res.status(400).json({ 
@@ -425,46 +434,62 @@ exports.createWithdrawRequest = async (req, res, next) => {
       })
     }
 
-    // Check withdrawal schedule
+    // Check withdrawal schedule (days, hours, blackout dates, pause switch)
     const withdrawalAllowed = await isWithdrawalAllowed()
     if (!withdrawalAllowed) {
       const withdrawalInfo = await getNextWithdrawalInfo()
-      let errorMessage = 'Withdrawals are not allowed today. '
+      let errorMessage
       
-      if (withdrawalInfo.scheduleType === 'daysOfWeek') {
-        errorMessage += `Next withdrawal day: ${withdrawalInfo.nextWithdrawalDay}`
-      } else if (withdrawalInfo.scheduleType === 'interval') {
-        errorMessage += `Next withdrawal in ${withdrawalInfo.intervalDays - (Math.floor(new Date().getTime() / (1000 * 60 * 60 * 24)) % withdrawalInfo.intervalDays)} days`
+      if (withdrawalInfo.paused) {
+        errorMessage = withdrawalInfo.pausedMessage || 'Withdrawals are temporarily paused. Please check back later.'
       } else {
-        errorMessage += 'Please check back later.'
+        errorMessage = withdrawalInfo.blackout
+          ? `Withdrawals are closed today${withdrawalInfo.blackout.reason ? ` (${withdrawalInfo.blackout.reason})` : ''}. `
+          : withdrawalInfo.allowedToday ? 'Withdrawals are outside today\'s withdrawal hours. ' : 'Withdrawals are not allowed today. '
+        if (withdrawalInfo.nextOpenAt) {
+          const opens = tz.zonedParts(withdrawalInfo.nextOpenAt, withdrawalInfo.timezone)
+          const at = `${String(opens.hour).padStart(2, '0')}:${String(opens.minute).padStart(2, '0')}`
+          errorMessage += `Next withdrawal window opens ${withdrawalInfo.nextWithdrawalDay} at ${at} (${withdrawalInfo.timezone})`
+        } else {
+          errorMessage += 'Please check back later.'
+        }
       }
       
-      return res.status(400).json({ message: errorMessage })
+      return res.status(400).json({ message: errorMessage, nextOpenAt: withdrawalInfo.nextOpenAt })
     }
 
-    // Recalculate netProfit to ensure available is up-to-date
-    const calcProfit = await computeNetProfit(user)
-    user.netProfit = calcProfit
+    // Accrue profit to date so available is up-to-date
+    await ledger.accrueProfit(user)
     await user.save()
 
     const available = Number(user.netProfit || 0) + Number(user.referralEarnings || 0)
     if (!amount || amount <= 0) return res.status(400).json({ message: 'Invalid amount' })
 
-    // Enforce minimum withdrawal amount of $2
-    if (Number(amount) < 2) return res.status(400).json({ message: 'Minimum withdrawal is $2' })
+    // Per-request min/max and daily/weekly/monthly caps from settings (role + user overrides)
+    const limitCheck = await checkWithdrawalLimits(user, amount)
+    if (!limitCheck.ok) {
+      return res.status(400).json({ message: limitCheck.message, limits: limitCheck.info.limits, remaining: limitCheck.info.remaining })
+    }
 
     if (amount > available) return res.status(400).json({ message: 'Amount exceeds available withdrawal balance' })
 
-    // validate required method-specific details
-    if (method === 'bank') {
-      if (!bank || !bank.accountNumber || String(bank.accountNumber).trim() === '') {
-        return res.status(400).json({ message: 'Account number is required for bank transfers' })
-      }
-    } else if (method === 'crypto') {
-      if (!crypto || !crypto.walletAddress || String(crypto.walletAddress).trim() === '') {
-        return res.status(400).json({ message: 'Wallet address is required for cryptocurrency withdrawals' })
-      }
+    // every payout goes to a saved bank / crypto beneficiary that is past its cooling-off period
+    if (!['bank', 'crypto'].includes(method)) return res.status(400).json({ message: 'method must be bank or crypto' })
+    if (!beneficiaryId || !mongoose.isValidObjectId(beneficiaryId)) {
+      return res.status(400).json({ message: 'Choose a saved beneficiary (beneficiaryId) for the withdrawal' })
+    }
+    const beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, user: user._id })
+    if (!beneficiary) return res.status(404).json({ message: 'Beneficiary not found' })
+    if (beneficiary.method !== method) {
+      return res.status(400).json({ message: `The selected beneficiary is a ${beneficiary.method} beneficiary` })
+    }
+    if (!beneficiary.isActive()) {
+      return res.status(400).json({
+        message: `This beneficiary was added recently and can be used from ${beneficiary.activatesAt.toUTCString()}`,
+        activatesAt: beneficiary.activatesAt
+      })
     }
+    const payout = { ...beneficiary.toPayoutDetails(), beneficiary: beneficiary._id }
 
     // build transaction details and snapshot of user balances
     const snapshot = {
@@ -478,19 +503,50 @@ exports.createWithdrawRequest = async (req, res, next) => {
       createdAt: new Date()
     }
 
-    const tx = new Transaction({
-      user: id,
-      type: 'withdraw',
-      amount,
-      method,
-      details: {
-        bank: bank || null,
-        crypto: crypto || null,
-        snapshot
-      },
-      status: 'pending'
-    })
-    await tx.save()
+    const currency = await getCurrencyConfig(user.country)
+    let tx = null
+
+    // Save the request and reserve its amount (net profit first, then referral) in one transaction.
+    // The balance is re-checked under the session, so concurrent requests cannot reserve the same funds.
+    const session = await mongoose.startSession()
+    try {
+      await session.withTransaction(async () => {
+        const holder = await User.findById(user._id).session(session)
+        await ledger.syncBalances(holder, session)
+        const fromNet = Math.min(Number(holder.netProfit || 0), amount)
+        const fromRef = Math.min(Number(holder.referralEarnings || 0), amount - fromNet)
+        if (Number((fromNet + fromRef).toFixed(2)) < Number(Number(amount).toFixed(2))) {
+          const e = new Error('Amount exceeds available withdrawal balance')
+          e.statusCode = 400
+          throw e
+        }
+
+        tx = new Transaction({
+          user: id,
+          type: 'withdraw',
+          amount,
+          method,
+          currency,
+          details: {
+            ...payout,
+            snapshot,
+            hold: { fromNet: Number(fromNet.toFixed(2)), fromRef: Number(fromRef.toFixed(2)) }
+          },
+          status: 'pending',
+          idempotencyKey: idempotencyKey || undefined
+        })
+        await tx.save({ session })
+        await ledger.holdWithdrawal(holder, { fromNet, fromRef }, { transaction: tx._id }, session)
+        await holder.save({ session })
+      })
+      session.endSession()
+    } catch (err) {
+      try { session.endSession() } catch (e) {}
+      if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+      // a concurrent call with the same key won the race: replay that one instead
+      if (idempotencyKey && err && err.code === 11000 && await replayIdempotentRequest(res, user._id, idempotencyKey, 'withdraw')) return
+      throw err
+    }
 
     // Notify admin via centralized helper with full details
     try {
@@ -509,12 +565,12 @@ exports.createWithdrawRequest = async (req, res, next) => {
                <p>Referral earnings: ${snapshot.referralEarnings}</p>
                <p>Total portfolio: ${snapshot.totalPortfolio}</p>
                <h4>Withdrawal details</h4>
-               <pre>${JSON.stringify({ bank: bank || null, crypto: crypto || null }, null, 2)}</pre>
+               <pre>${JSON.stringify({ bank: payout.bank, crypto: payout.crypto }, null, 2)}</pre>
                <p>Transaction id: ${tx._id}</p>`
       })
     } catch (err) { console.warn('notify admin withdraw err', err.message || err) }
 
-    res.json({ message: 'Withdrawal request submitted', transactionId: tx._id })
+    res.json(submittedResponse(tx))
   } catch (err) { next(err) }
 }
 
@@ -524,30 +580,55 @@ exports.createDepositRequest = async (req, res, next) => {
     const id = req.params.id
     const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user)) // Fixed typo: _1d to _id
     if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
-    const { amount, method, plan, receiptUrl } = req.body // method can be a string id or object in settings
+    const { amount, method, planId, plan, receiptUrl } = req.body // method: a payment method id (older clients send a name or object)
+    const idempotencyKey = getIdempotencyKey(req)
+    if (idempotencyKey && idempotencyKey.length > 255) return res.status(400).json({ message: 'Idempotency-Key must be at most 255 characters' })
     const user = await User.findById(id)
     if (!user) return res.status(404).json({ message: 'User not found' })
+
+    // A retried request (same Idempotency-Key) gets the original response, not a second transaction
+    if (await replayIdempotentRequest(res, user._id, idempotencyKey, 'deposit')) return
     if (!amount || amount <= 0) return res.status(400).json({ message: 'Invalid amount' })
     if (!receiptUrl) return res.status(400).json({ message: 'Payment receipt is required' })
 
-    // Normalize method: accept either method id string or object - store the method id on tx.method to match schema,
-    // but keep the full method details in details.method so admins can see it.
-    const methodId = (typeof method === 'string') ? method : (method && method.id) ? method.id : null
-    const methodDetails = (typeof method === 'object' && method !== null) ? method : null
+    // Resolve the plan server-side: never trust rate/days sent by the client.
+    const { plan: selectedPlan, error: planError } = await Plan.resolve(amount, planId || plan)
+    if (planError) return res.status(400).json({ message: planError })
+    const planSnapshot = selectedPlan.toSnapshot()
+
+    // method must resolve to a configured method (older clients send a name or a method object) that is
+    // enabled, offered in the user's country and allows the amount; the configured copy is stored, never the client's
+    const methodName = (typeof method === 'string') ? method : (method && typeof method === 'object') ? (method.id || method.type) : null
+    if (!methodName) return res.status(400).json({ message: 'Payment method is required' })
+    const settings = await Setting.getSettings()
+    const configured = settings.findPaymentMethod(String(methodName), user.country)
+    if (!configured || !configured.appliesTo(user.country)) {
+      return res.status(400).json({ message: 'This payment method is not available' })
+    }
+    if (configured.minDeposit !== null && Number(amount) < configured.minDeposit) {
+      return res.status(400).json({ message: `Minimum deposit with ${configured.label} is $${configured.minDeposit}` })
+    }
+    if (configured.maxDeposit !== null && Number(amount) > configured.maxDeposit) {
+      return res.status(400).json({ message: `Maximum deposit with ${configured.label} is $${configured.maxDeposit}` })
+    }
+    const methodId = configured.id
+    const methodDetails = configured.toObject()
 
     const tx = new Transaction({
       user: id,
       type: 'deposit',
       amount,
       method: methodId, // store compact id in main field to avoid casting errors
+      currency: await getCurrencyConfig(user.country),
       details: { 
-        plan: plan || null, 
+        plan: planSnapshot,
         method: methodDetails,
         receiptUrl: receiptUrl // Store receipt URL in transaction details
       },
-      status: 'pending'
+      status: 'pending',
+      idempotencyKey: idempotencyKey || undefined
     })
-    await tx.save()
+    if (!await saveIdempotentRequest(res, tx, idempotencyKey)) return
 
     // Notify admin including method details and receipt URL
     try {
@@ -555,20 +636,279 @@ exports.createDepositRequest = async (req, res, next) => {
         subject: `Gainbridge Deposit request — ${user.email}`,
         html: `<p>User ${user.email} requested deposit of ${amount}</p>
                <p>Country: ${user.country || '—'}</p>
-               <p>Plan: ${JSON.stringify(plan)}</p>
+               <p>Plan: ${planSnapshot.name} (${planSnapshot.ratePercent}% daily, ${planSnapshot.days} days)</p>
                <p>Capital: ${user.capital}</p>
                <h4>Payment method details</h4>
-               <pre>${JSON.stringify(methodDetails || { id: methodId }, null, 2)}</pre>
+               <pre>${JSON.stringify(methodDetails, null, 2)}</pre>
                <h4>Payment Receipt</h4>
                <p><a href="${receiptUrl}" target="_blank">View Payment Receipt</a></p>
                <p>Transaction id: ${tx._id}</p>`
       })
     } catch (err) { console.warn('notify admin deposit err', err.message || err) }
 
-    res.json({ message: 'Deposit request submitted', transactionId: tx._id })
+    res.json(submittedResponse(tx))
   } catch (err) { next(err) }
 }
 
+// POST reinvest profit into a new deposit: /users/:id/reinvest  body: { amount, planId }
+// Takes from netProfit first, then referralEarnings (same order as withdrawals).
+exports.reinvest = async (req, res, next) => {
+  let session = null
+  try {
+    const id = req.params.id
+    const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user))
+    if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
+    const { amount, planId } = req.body || {}
+    const amt = Number(amount)
+    if (!amt || Number.isNaN(amt) || amt <= 0) return res.status(400).json({ message: 'Invalid amount' })
+
+    const user = await User.findById(id)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    // Same restriction as withdrawals: restricted accounts cannot move profit out
+    if (user.withdrawalRestricted) {
+      return res.status(400).json({ 
+        message: `Reinvestment is restricted. Reason: ${user.withdrawalRestrictionReason || 'Contact support for more information.'}` 
+      })
+    }
+
+    const { plan: selectedPlan, error: planError } = await Plan.resolve(amt, planId)
+    if (planError) return res.status(400).json({ message: planError })
+    const planSnapshot = selectedPlan.toSnapshot()
+
+    // Accrue profit to date so available is up-to-date
+    await ledger.accrueProfit(user)
+    await user.save()
+
+    let txDoc = null
+    let updatedUser = null
+    let breakdown = null
+
+    session = await mongoose.startSession()
+    await session.withTransaction(async () => {
+      const u = await User.findById(id).session(session)
+      await ledger.syncBalances(u, session)
+
+      const available = Number(u.netProfit || 0) + Number(u.referralEarnings || 0)
+      if (amt > available) {
+        const e = new Error('Amount exceeds available profit balance')
+        e.statusCode = 400
+        throw e
+      }
+
+      const fromNet = Math.min(Number(u.netProfit || 0), amt)
+      breakdown = { fromNet: Number(fromNet.toFixed(2)), fromRef: Number((amt - fromNet).toFixed(2)) }
+
+      const startDate = new Date()
+      const endDate = addCalendarDays(startDate, planSnapshot.days, { timeZone: u.timezone })
+
+      const [tx] = await Transaction.create([{
+        user: u._id,
+        type: 'reinvest',
+        amount: amt,
+        method: 'reinvest',
+        details: {
+          plan: planSnapshot,
+          approvedBreakdown: breakdown,
+          approvedAmount: amt,
+          approvedAt: startDate
+        },
+        status: 'approved'
+      }], { session })
+
+      await ledger.recordReinvestment(u, breakdown, { transaction: tx._id, createdBy: req.user._id }, session)
+
+      u.deposits = u.deposits || []
+      u.deposits.push({
+        amount: amt,
+        ratePercent: planSnapshot.ratePercent,
+        days: planSnapshot.days,
+        startDate,
+        endDate,
+        status: 'active'
+      })
+      await u.save({ session })
+
+      txDoc = tx
+      updatedUser = u
+    })
+    session.endSession()
+
+    try {
+      await sendMail({
+        to: updatedUser.email,
+        subject: `Reinvestment confirmed — ${amt}`,
+        html: `<p>${amt} of your profit has been reinvested into the ${planSnapshot.name} plan (${planSnapshot.ratePercent}% daily for ${planSnapshot.days} days).</p>
+               <p>Profit on the new deposit starts accruing immediately.</p>`
+      })
+    } catch (err) { console.warn('notify user reinvest err', err.message || err) }
+
+    try {
+      await sendAdminNotification({
+        subject: `Gainbridge Reinvestment — ${updatedUser.email} — ${amt}`,
+        html: `<p>User ${updatedUser.email} reinvested ${amt}</p>
+               <p>Plan: ${planSnapshot.name} (${planSnapshot.ratePercent}% daily, ${planSnapshot.days} days)</p>
+               <p>From net profit: ${breakdown.fromNet}</p>
+               <p>From referral earnings: ${breakdown.fromRef}</p>
+               <p>Transaction id: ${txDoc._id}</p>`
+      })
+    } catch (err) { console.warn('notify admin reinvest err', err.message || err) }
+
+    const overview = {
+      capital: Number(updatedUser.capital || 0),
+      netProfit: Number(updatedUser.netProfit || 0),
+      referralEarnings: Number(updatedUser.referralEarnings || 0),
+      totalPortfolio: Number(updatedUser.capital || 0) + Number(updatedUser.netProfit || 0) + Number(updatedUser.referralEarnings || 0)
+    }
+    res.json({ message: 'Profit reinvested', overview, transactionId: txDoc._id })
+  } catch (err) {
+    try { if (session) session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
+// POST early termination request: /users/:id/early-termination  body: { depositIndex }
+// The admin approves it through /api/admin/requests/:id/approve; the penalty percent is fixed at request time.
+exports.createEarlyTerminationRequest = async (req, res, next) => {
+  try {
+    const id = req.params.id
+    const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user))
+    if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
+    const depositIndex = Number((req.body || {}).depositIndex)
+    if (!Number.isInteger(depositIndex) || depositIndex < 0) return res.status(400).json({ message: 'Invalid deposit' })
+
+    const user = await User.findById(id)
+    if (!user) return res.status(404).json({ message: 'User not found' })
+
+    const dep = (user.deposits || [])[depositIndex]
+    if (!dep) return res.status(404).json({ message: 'Deposit not found' })
+    if (dep.status !== 'active') return res.status(400).json({ message: 'Only active deposits can be terminated early' })
+    const endDate = depositEndDate(dep, { timeZone: user.timezone })
+    if (endDate && endDate <= new Date()) return res.status(400).json({ message: 'This deposit has already reached its end date' })
+
+    const existing = await Transaction.findOne({
+      user: user._id,
+      type: 'early-termination',
+      status: 'pending',
+      'details.depositIndex': depositIndex
+    })
+    if (existing) return res.status(400).json({ message: 'An early termination request for this deposit is already pending' })
+
+    const settings = await AdminSettings.getSettings()
+    const penaltyPercent = Number(settings.earlyTerminationPenaltyPercent || 0)
+    const amount = Number(dep.amount || 0)
+    const penalty = Number((amount * penaltyPercent / 100).toFixed(2))
+
+    const tx = await Transaction.create({
+      user: user._id,
+      type: 'early-termination',
+      amount,
+      method: 'capital-return',
+      details: {
+        depositIndex,
+        deposit: { amount, ratePercent: dep.ratePercent, days: dep.days, startDate: dep.startDate, endDate },
+        penaltyPercent,
+        penalty,
+        payout: Number((amount - penalty).toFixed(2))
+      },
+      status: 'pending'
+    })
+
+    try {
+      await sendAdminNotification({
+        subject: `Gainbridge Early termination request — ${user.email} — ${amount}`,
+        html: `<p>User ${user.email} asked to terminate a deposit early</p>
+               <p>Deposit: ${amount} at ${dep.ratePercent}% daily, started ${new Date(dep.startDate).toDateString()}</p>
+               <p>Scheduled end date: ${endDate ? endDate.toDateString() : '—'}</p>
+               <p>Penalty: ${penaltyPercent}% (${penalty})</p>
+               <p>Capital returned to withdrawable balance: ${tx.details.payout}</p>
+               <p>Transaction id: ${tx._id}</p>`
+      })
+    } catch (err) { console.warn('notify admin early termination err', err.message || err) }
+
+    res.json({ message: 'Early termination request submitted', transactionId: tx._id, penaltyPercent, penalty, payout: tx.details.payout })
+  } catch (err) { next(err) }
+}
+
+// Requests a user may cancel while they are still pending
+const CANCELLABLE_TYPES = ['deposit', 'withdraw', 'early-termination']
+
+// POST /users/:id/transactions/:txId/cancel - body: { reason? }
+exports.cancelRequest = async (req, res, next) => {
+  const { id, txId } = req.params
+  const authId = req.user && (req.user._id ? req.user._id.toString() : String(req.user))
+  if (authId !== id && req.user.role !== 'admin') return res.status(403).json({ message: 'Forbidden' })
+  if (!mongoose.isValidObjectId(txId)) return res.status(404).json({ message: 'Request not found' })
+  const reason = String((req.body || {}).reason || '').trim().slice(0, 500)
+
+  const session = await mongoose.startSession()
+  try {
+    let txDoc = null
+    let updatedUser = null
+    // withdrawals release their hold in the same transaction that marks them cancelled
+    await session.withTransaction(async () => {
+      const tx = await Transaction.findOne({ _id: txId, user: id }).session(session)
+      if (!tx || !CANCELLABLE_TYPES.includes(tx.type)) {
+        const e = new Error('Request not found')
+        e.statusCode = 404
+        throw e
+      }
+      if (tx.status !== 'pending') {
+        const e = new Error(`Only pending requests can be cancelled (this one is ${tx.status})`)
+        e.statusCode = 400
+        throw e
+      }
+
+      const user = await User.findById(id).session(session)
+      if (tx.type === 'withdraw' && user) {
+        await ledger.releaseWithdrawalHold(user, tx._id, { createdBy: req.user._id, memo: 'Withdrawal cancelled' }, session)
+        await user.save({ session })
+      }
+
+      tx.status = 'cancelled'
+      tx.updatedAt = new Date()
+      tx.details = { ...(tx.details || {}), cancellation: { cancelledAt: new Date(), cancelledBy: req.user._id, reason } }
+      tx.markModified('details')
+      await tx.save({ session })
+
+      if (req.user.role === 'admin' && authId !== id) {
+        await new Audit({ admin: req.user._id, action: `cancel-${tx.type}`, meta: { txId: tx._id, userId: id, reason } }).save({ session })
+      }
+
+      txDoc = tx
+      updatedUser = user
+    })
+    session.endSession()
+
+    const label = { deposit: 'Deposit', withdraw: 'Withdrawal', 'early-termination': 'Early termination' }[txDoc.type]
+    try {
+      await sendAdminNotification({
+        subject: `${label} request cancelled — ${updatedUser ? updatedUser.email : id} — ${txDoc.amount}`,
+        html: `<p>${label} request cancelled by ${authId === id ? 'the user' : req.user.email}</p>
+               <p>User: ${updatedUser ? updatedUser.email : id}</p>
+               <p>Amount: ${txDoc.amount}</p>
+               <p>Reason: ${reason || '—'}</p>
+               <p>Transaction id: ${txDoc._id}</p>`
+      })
+    } catch (err) { console.warn('notify admin cancel err', err.message || err) }
+
+    res.json({
+      message: `${label} request cancelled`,
+      transactionId: txDoc._id,
+      overview: updatedUser ? {
+        capital: Number(updatedUser.capital || 0),
+        netProfit: Number(updatedUser.netProfit || 0),
+        referralEarnings: Number(updatedUser.referralEarnings || 0)
+      } : undefined
+    })
+  } catch (err) {
+    try { session.endSession() } catch (e) {}
+    if (err && err.statusCode) return res.status(err.statusCode).json({ message: err.message })
+    next(err)
+  }
+}
+
 // messages - basic in-doc store
 exports.getMessages = async (req, res, next) => {
   try {
@@ -621,6 +961,3 @@ exports.postMessage = async (req, res, next) => {
     res.json({ message: 'Message sent' })
   } catch (err) { next(err) }
 }
-
-// Export currency helper functions
-exports.getCurrencyConfig = getCurrencyConfig;
\ No newline at end of file
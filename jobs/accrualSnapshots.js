@@ -0,0 +1,108 @@
+// jobs/accrualSnapshots.js
+// Writes one AccrualSnapshot per deposit per completed local day, so earnings have a history
+// (profitForDeposit only knows totals). Each run resumes after the last snapshot of every deposit,
+// which also backfills days missed while the job was not running.
+'use strict'
+
+const User = require('../models/User')
+const AccrualSnapshot = require('../models/AccrualSnapshot')
+const { profitForDeposit, depositEndDate, getPlatformTimeZone } = require('../utils/calcProfit')
+const { ensureCalendarLoaded } = require('../utils/calendar')
+const tz = require('../utils/timezone')
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2))
+}
+
+// Last instant the deposit can accrue: earliest of its end date and an approved early termination
+function accrualEnd(dep, timeZone) {
+  let end = depositEndDate(dep, { timeZone })
+  if (dep.terminatedAt && (!end || new Date(dep.terminatedAt) < end)) end = new Date(dep.terminatedAt)
+  return end
+}
+
+/**
+ * snapshotUserAccruals(user, asOf)
+ *
+ * Writes the missing daily snapshots of every deposit of one user, up to (not including) the
+ * local day containing `asOf`. Returns the number of rows written.
+ */
+async function snapshotUserAccruals(user, asOf = new Date()) {
+  const timeZone = tz.isValidTimeZone(user.timezone) ? user.timezone : getPlatformTimeZone()
+  const options = { country: user.country, timeZone }
+  const today = tz.startOfDay(asOf, timeZone)
+
+  const last = await AccrualSnapshot.aggregate([
+    { $match: { user: user._id } },
+    { $group: { _id: '$depositIndex', date: { $max: '$date' } } }
+  ])
+  const lastByDeposit = new Map(last.map(r => [r._id, r.date]))
+
+  const ops = []
+  const deposits = user.deposits || []
+  for (let index = 0; index < deposits.length; index++) {
+    const dep = deposits[index]
+    const start = dep && (dep.startDate || dep.approvedAt)
+    if (!start || dep.status === 'reversed') continue
+
+    const end = accrualEnd(dep, timeZone)
+    const stop = end && tz.startOfNextDay(end, timeZone) < today ? tz.startOfNextDay(end, timeZone) : today
+
+    let day = tz.startOfDay(start, timeZone)
+    const lastDate = lastByDeposit.get(index)
+    while (lastDate && day < stop && tz.dateKey(day, timeZone) <= lastDate) day = tz.startOfNextDay(day, timeZone)
+
+    let before = profitForDeposit(dep, day, options)
+    while (day < stop) {
+      const next = tz.startOfNextDay(day, timeZone)
+      const cumulative = profitForDeposit(dep, next, options)
+      ops.push({
+        updateOne: {
+          filter: { user: user._id, depositIndex: index, date: tz.dateKey(day, timeZone) },
+          update: {
+            $setOnInsert: {
+              amount: round2(cumulative - before),
+              cumulative,
+              principal: Number(dep.amount || 0),
+              ratePercent: dep.ratePercent
+            }
+          },
+          upsert: true
+        }
+      })
+      before = cumulative
+      day = next
+    }
+  }
+
+  if (ops.length === 0) return 0
+  const result = await AccrualSnapshot.bulkWrite(ops, { ordered: false })
+  return result.upsertedCount || 0
+}
+
+/**
+ * recordDailyAccruals({ asOf })
+ * Job entry point: snapshots every user that has deposits.
+ */
+async function recordDailyAccruals({ asOf = new Date() } = {}) {
+  const summary = { checked: 0, snapshots: 0, failed: 0 }
+  await ensureCalendarLoaded()
+  const cursor = User.find({ 'deposits.0': { $exists: true }, deleted: { $ne: true } })
+    .select('_id country timezone deposits')
+    .lean()
+    .cursor()
+
+  for await (const user of cursor) {
+    summary.checked++
+    try {
+      summary.snapshots += await snapshotUserAccruals(user, asOf)
+    } catch (err) {
+      summary.failed++
+      console.error('accrual snapshot failed for user', String(user._id), err.message || err)
+    }
+  }
+
+  return summary
+}
+
+module.exports = { snapshotUserAccruals, recordDailyAccruals }
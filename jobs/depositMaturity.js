@@ -0,0 +1,119 @@
+// jobs/depositMaturity.js
+// Finalizes deposits whose window has ended: marks them completed on their real end date,
+// returns the capital through the ledger, records a `maturity` Transaction and emails the user.
+// Runs from the scheduler / cron endpoint, so reports are right even for users who never log in.
+'use strict'
+
+const mongoose = require('mongoose')
+const User = require('../models/User')
+const Transaction = require('../models/Transaction')
+const ledger = require('../utils/ledger')
+const { profitForDeposit, depositEndDate } = require('../utils/calcProfit')
+const { sendMail } = require('../utils/email')
+const { ensureCalendarLoaded } = require('../utils/calendar')
+
+/**
+ * matureUserDeposits(userId, asOf)
+ *
+ * Completes every matured deposit of one user in a single mongoose transaction.
+ * Returns the list of matured deposits ({ amount, endDate, profit, transactionId }).
+ */
+async function matureUserDeposits(userId, asOf = new Date()) {
+  const session = await mongoose.startSession()
+  let matured = []
+  let user = null
+  try {
+    await session.withTransaction(async () => {
+      matured = []
+      user = await User.findById(userId).session(session)
+      if (!user) return
+
+      await ledger.syncBalances(user, session)
+
+      for (const dep of user.deposits || []) {
+        if (!dep || dep.status !== 'active') continue
+        const end = depositEndDate(dep, { timeZone: user.timezone })
+        if (!end || end > asOf) continue
+
+        dep.status = 'completed'
+        dep.endDate = end
+        if (!dep.startDate && dep.approvedAt) dep.startDate = dep.approvedAt
+
+        const amount = Number(dep.amount || 0)
+        const [tx] = await Transaction.create([{
+          user: user._id,
+          type: 'maturity',
+          amount,
+          method: 'capital-return',
+          details: {
+            deposit: { amount, ratePercent: dep.ratePercent, days: dep.days, startDate: dep.startDate, endDate: end },
+            profitEarned: profitForDeposit(dep, end, { country: user.country, timeZone: user.timezone })
+          },
+          status: 'approved',
+          adminRemarks: 'Deposit matured'
+        }], { session })
+
+        // never return more than the capital on the books (manual adjustments may have lowered it)
+        const returned = Math.min(amount, Math.max(0, Number(user.capital || 0)))
+        if (returned > 0) {
+          await ledger.recordMaturity(user, returned, { transaction: tx._id, memo: 'Deposit matured' }, session)
+        }
+
+        matured.push({ amount, endDate: end, profit: tx.details.profitEarned, transactionId: tx._id })
+      }
+
+      if (matured.length > 0) await user.save({ session })
+    })
+  } finally {
+    session.endSession()
+  }
+
+  // After commit: tell the user (best-effort)
+  for (const m of matured) {
+    try {
+      await sendMail({
+        to: user.email,
+        subject: `Deposit matured — ${m.amount}`,
+        html: `<p>Your deposit of ${m.amount} reached the end of its investment window on ${m.endDate.toDateString()}.</p>
+               <p>Profit earned: ${m.profit}</p>
+               <p>The capital has been returned and the deposit is now marked completed.</p>`
+      })
+    } catch (err) { console.warn('notify user maturity err', err.message || err) }
+  }
+
+  return matured
+}
+
+/**
+ * processMaturedDeposits({ asOf })
+ * Job entry point: walks users with active deposits and matures whatever is due.
+ */
+async function processMaturedDeposits({ asOf = new Date() } = {}) {
+  const summary = { checked: 0, users: 0, deposits: 0, failed: 0 }
+  await ensureCalendarLoaded()
+  const candidates = await User.find({ 'deposits.status': 'active' }).select('_id deposits timezone').lean()
+
+  for (const candidate of candidates) {
+    summary.checked++
+    const due = (candidate.deposits || []).some(d => {
+      const end = d.status === 'active' ? depositEndDate(d, { timeZone: candidate.timezone }) : null
+      return end && end <= asOf
+    })
+    if (!due) continue
+
+    try {
+      const matured = await matureUserDeposits(candidate._id, asOf)
+      if (matured.length > 0) {
+        summary.users++
+        summary.deposits += matured.length
+      }
+    } catch (err) {
+      summary.failed++
+      console.error('deposit maturity failed for user', String(candidate._id), err.message || err)
+    }
+  }
+
+  return summary
+}
+
+module.exports = { matureUserDeposits, processMaturedDeposits }
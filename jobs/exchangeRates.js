@@ -0,0 +1,65 @@
+// jobs/exchangeRates.js
+// Pulls current rates from the configured exchange-rate provider (utils/rateProviders) into the
+// Currency rate history. Pinned currencies are skipped. When the provider is unreachable nothing is
+// written, so conversions keep using the last known rate; the error is kept on each currency for admins.
+'use strict'
+
+const Currency = require('../models/Currency')
+const { getProvider } = require('../utils/rateProviders')
+
+/**
+ * refreshExchangeRates({ asOf })
+ * Job entry point. A new rate entry is only appended when the rate changed and it would take effect.
+ */
+async function refreshExchangeRates({ asOf = new Date() } = {}) {
+  const provider = getProvider()
+  if (!provider) return { skipped: true, reason: 'No exchange rate provider configured (EXCHANGE_RATE_PROVIDER)' }
+
+  const summary = { provider: provider.name, checked: 0, updated: 0, unchanged: 0, superseded: 0, missing: [], pinned: 0 }
+  const currencies = await Currency.getCurrencies({ active: true })
+  const due = currencies.filter(c => {
+    if (c.pinned) summary.pinned++
+    return !c.pinned
+  })
+  if (due.length === 0) return summary
+
+  let fetched
+  try {
+    fetched = await provider.fetchRates(due.map(c => c.code))
+  } catch (err) {
+    const message = `${provider.name}: ${err.message || err}`
+    await Currency.updateMany({ _id: { $in: due.map(c => c._id) } }, { $set: { lastRefreshError: message } })
+    return { ...summary, failed: true, error: message }
+  }
+
+  const rates = (fetched && fetched.rates) || {}
+  const effectiveFrom = fetched && fetched.asOf && fetched.asOf <= asOf ? fetched.asOf : asOf
+  for (const currency of due) {
+    summary.checked++
+    const rate = Number(rates[currency.code])
+    if (!(rate > 0)) {
+      summary.missing.push(currency.code)
+      currency.lastRefreshError = `${provider.name}: no rate for ${currency.code}`
+      await currency.save()
+      continue
+    }
+
+    const current = currency.rateAt(asOf)
+    if (current && Number(current.rate) === rate) {
+      summary.unchanged++
+    } else if (current && new Date(current.effectiveFrom) > effectiveFrom) {
+      // a newer rate (e.g. an admin's) is in effect; an entry dated before it would never apply
+      summary.superseded++
+    } else {
+      currency.rates.push({ rate, effectiveFrom, source: provider.name })
+      summary.updated++
+    }
+    currency.lastRefreshedAt = new Date()
+    currency.lastRefreshError = null
+    await currency.save()
+  }
+
+  return summary
+}
+
+module.exports = { refreshExchangeRates }
@@ -0,0 +1,27 @@
+// jobs/index.js
+// Registry of background jobs: name -> { run, intervalMinutes }.
+// Jobs run in-process via jobs/scheduler.js, or through GET /api/cron/:job (Vercel Cron).
+const { processMaturedDeposits } = require('./depositMaturity')
+const { recordDailyAccruals } = require('./accrualSnapshots')
+const { refreshExchangeRates } = require('./exchangeRates')
+
+const jobs = {
+  'deposit-maturity': { run: processMaturedDeposits, intervalMinutes: 60 },
+  'accrual-snapshots': { run: recordDailyAccruals, intervalMinutes: 60 },
+  'exchange-rates': { run: refreshExchangeRates, intervalMinutes: 360 }
+}
+
+// Run a job by name; throws a 404-style error for unknown names
+async function runJob(name, options = {}) {
+  const job = jobs[name]
+  if (!job) {
+    const e = new Error(`Unknown job: ${name}`)
+    e.statusCode = 404
+    throw e
+  }
+  const startedAt = new Date()
+  const result = await job.run(options)
+  return { job: name, startedAt, finishedAt: new Date(), result }
+}
+
+module.exports = { jobs, runJob }
@@ -0,0 +1,41 @@
+// jobs/scheduler.js
+// Minimal in-process scheduler for long-running servers. On Vercel the functions are not kept
+// alive, so there the same jobs are triggered by Vercel Cron hitting /api/cron/:job instead.
+const { jobs, runJob } = require('./index')
+
+const running = new Set()
+const timers = []
+
+async function tick(name) {
+  // skip if the previous run of this job is still going
+  if (running.has(name)) return
+  running.add(name)
+  try {
+    const { result } = await runJob(name)
+    console.log(`[jobs] ${name} done`, JSON.stringify(result))
+  } catch (err) {
+    console.error(`[jobs] ${name} failed`, err.message || err)
+  } finally {
+    running.delete(name)
+  }
+}
+
+function startScheduler() {
+  for (const [name, job] of Object.entries(jobs)) {
+    const everyMs = Math.max(1, Number(job.intervalMinutes || 60)) * 60 * 1000
+    // first run shortly after boot, then on the interval
+    timers.push(setTimeout(() => tick(name), 30 * 1000))
+    timers.push(setInterval(() => tick(name), everyMs))
+  }
+  console.log(`[jobs] scheduler started: ${Object.keys(jobs).join(', ')}`)
+}
+
+function stopScheduler() {
+  while (timers.length) {
+    const t = timers.pop()
+    clearTimeout(t)
+    clearInterval(t)
+  }
+}
+
+module.exports = { startScheduler, stopScheduler }
@@ -22,3 +22,18 @@ exports.protect = async (req, res, next) => {
     return res.status(401).json({ message: 'Token invalid' })
   }
 }
+
+// Like protect, but for public routes: sets req.user when a valid token is sent and never rejects
+exports.optionalAuth = async (req, res, next) => {
+  const auth = req.headers.authorization
+  const secret = process.env.JWT_SECRET || process.env.secret_key
+  if (!auth || !auth.startsWith('Bearer ') || !secret) return next()
+
+  try {
+    const decoded = jwt.verify(auth.split(' ')[1], secret)
+    req.user = await User.findById(decoded.id).select('-password')
+  } catch (err) {
+    req.user = null
+  }
+  next()
+}
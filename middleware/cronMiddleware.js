@@ -0,0 +1,8 @@
+// middleware/cronMiddleware.js
+// Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`; anything else is rejected.
+exports.isCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET
+  if (!secret) return res.status(503).json({ message: 'Cron secret not configured' })
+  if (req.headers.authorization !== `Bearer ${secret}`) return res.status(401).json({ message: 'Not authorized' })
+  next()
+}
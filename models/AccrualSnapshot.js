@@ -0,0 +1,22 @@
+// models/AccrualSnapshot.js
+// Profit earned by one deposit on one local day, written by the accrual-snapshots job
+// (jobs/accrualSnapshots.js). Feeds the earnings chart (GET /api/users/:id/earnings).
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const AccrualSnapshotSchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  depositIndex: { type: Number, required: true }, // position of the deposit in user.deposits
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD in the user's (or platform) timezone
+  amount: { type: Number, default: 0 }, // profit earned on this day
+  cumulative: { type: Number, default: 0 }, // profit earned by the deposit up to the end of this day
+  principal: Number,
+  ratePercent: Number,
+  createdAt: { type: Date, default: Date.now }
+})
+
+// one row per deposit per day; the job relies on this to stay idempotent
+AccrualSnapshotSchema.index({ user: 1, depositIndex: 1, date: 1 }, { unique: true })
+AccrualSnapshotSchema.index({ user: 1, date: 1 })
+
+module.exports = mongoose.model('AccrualSnapshot', AccrualSnapshotSchema)
@@ -2,6 +2,29 @@
 const mongoose = require('mongoose')
 const Schema = mongoose.Schema
 
+// Level 1 used to be a flat REFERRAL_RATE env fraction (e.g. 0.05); it stays the default for new settings
+function defaultReferralTiers() {
+  const parsed = parseFloat(process.env.REFERRAL_RATE)
+  const rate = (!Number.isNaN(parsed) && parsed >= 0 && parsed <= 1) ? parsed : 0.05
+  return [{ level: 1, percent: Number((rate * 100).toFixed(4)), capPerDeposit: null }]
+}
+
+const ReferralTierSchema = new Schema({
+  level: { type: Number, required: true, min: 1 }, // 1 = direct referrer, 2 = their referrer, ...
+  percent: { type: Number, required: true, min: 0, max: 100 }, // percent of the approved deposit
+  capPerDeposit: { type: Number, default: null } // max commission per deposit (null = no cap)
+}, { _id: false })
+
+// Withdrawal limits in USD; null = no limit. Caps count pending and approved withdrawals in the
+// current day / week (Monday start) / month of the platform timezone.
+const WithdrawalLimitsSchema = new Schema({
+  minAmount: { type: Number, default: null },
+  maxAmount: { type: Number, default: null },
+  dailyCap: { type: Number, default: null },
+  weeklyCap: { type: Number, default: null },
+  monthlyCap: { type: Number, default: null }
+}, { _id: false })
+
 const AdminSettingsSchema = new Schema({
   // Withdrawal Schedule Settings
   withdrawalScheduleType: { 
@@ -17,6 +40,63 @@ const AdminSettingsSchema = new Schema({
     type: Number, 
     default: 1 
   },
+  // Time-of-day window on withdrawal days ('HH:MM' in the platform timezone); null = the whole day
+  withdrawalHours: {
+    start: { type: String, default: null },
+    end: { type: String, default: null }
+  },
+  // One-off dates on which withdrawals are closed even if the schedule allows them
+  withdrawalBlackoutDates: {
+    type: [{
+      _id: false,
+      date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ }, // YYYY-MM-DD
+      reason: { type: String, default: '' }
+    }],
+    default: []
+  },
+  // Temporary switch that closes withdrawals until it is turned off again
+  withdrawalsPaused: { type: Boolean, default: false },
+  withdrawalsPausedMessage: { type: String, default: '' },
+  // Withdrawal limits per role (admins use the `user` limits); users can override them individually
+  withdrawalLimits: {
+    user: { type: WithdrawalLimitsSchema, default: () => ({ minAmount: 2 }) },
+    agent: { type: WithdrawalLimitsSchema, default: () => ({ minAmount: 2 }) }
+  },
+  // Withdrawals approved for more than this (USD) need a second, different admin; null = one admin is enough
+  dualApprovalThreshold: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Hours a new or changed withdrawal beneficiary must wait before it can be used
+  beneficiaryCoolingOffHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  // Penalty (percent of the deposit amount) kept by the platform when a deposit is terminated early
+  earlyTerminationPenaltyPercent: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 100
+  },
+  // Referral commission tiers, walked up the referredBy chain when a deposit is approved
+  referralTiers: {
+    type: [ReferralTierSchema],
+    default: defaultReferralTiers
+  },
+  // 'every-deposit' pays on each approved deposit, 'first-deposit' only on a user's first one
+  referralCommissionMode: {
+    type: String,
+    enum: ['every-deposit', 'first-deposit'],
+    default: 'every-deposit'
+  },
+  // Platform timezone (IANA name) for accrual day boundaries and the withdrawal schedule
+  timezone: {
+    type: String,
+    default: process.env.PLATFORM_TIMEZONE || 'Africa/Johannesburg'
+  },
   lastUpdated: { 
     type: Date, 
     default: Date.now 
@@ -0,0 +1,35 @@
+// models/Beneficiary.js
+// A user's saved payout destination (bank account or crypto wallet). Withdrawals reference a beneficiary
+// instead of carrying account details, and a new or changed beneficiary only becomes usable at
+// `activatesAt` (the cooling-off period from AdminSettings), so a stolen session cannot redirect funds at once.
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const BeneficiarySchema = new Schema({
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  label: { type: String, default: '' }, // e.g. 'My FNB cheque account'
+  method: { type: String, enum: ['bank', 'crypto'], required: true },
+  bank: {
+    bankName: String,
+    accountName: String,
+    accountNumber: String,
+    branchCode: String
+  },
+  crypto: {
+    network: String, // BTC / ERC20 / TRC20 (see utils/cryptoAddress.js)
+    walletAddress: String
+  },
+  activatesAt: { type: Date, required: true }
+}, { timestamps: true })
+
+BeneficiarySchema.methods.isActive = function(now = new Date()) {
+  return this.activatesAt <= now
+}
+
+// The bank / crypto object stored on a withdrawal's details (same shape as inline details used to be)
+BeneficiarySchema.methods.toPayoutDetails = function() {
+  const { bank, crypto } = this.toObject()
+  return this.method === 'bank' ? { bank, crypto: null } : { bank: null, crypto }
+}
+
+module.exports = mongoose.model('Beneficiary', BeneficiarySchema)
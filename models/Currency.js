@@ -0,0 +1,75 @@
+// models/Currency.js
+// Local currencies managed by admins (/api/admin/currencies). Balances are kept in the base currency (USD);
+// a currency only converts them for display. Rates are effective-dated so past conversions can be
+// reproduced, and deposit/withdraw Transactions snapshot the rate they were made at. Rates come from
+// admins or from the exchange-rates job (jobs/exchangeRates.js).
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const RateSchema = new Schema({
+  rate: { type: Number, required: true, min: 0 }, // units of this currency per 1 USD
+  effectiveFrom: { type: Date, required: true, default: Date.now },
+  source: { type: String, default: 'manual' }, // 'manual' (admin) or the exchange rate provider name
+  setBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false })
+
+const CurrencySchema = new Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true, match: /^[A-Z]{3}$/ }, // ISO 4217
+  name: { type: String, trim: true },
+  symbol: { type: String, required: true, trim: true },
+  countries: { type: [String], default: [] }, // user.country values that display in this currency
+  rates: { type: [RateSchema], default: [] },
+  active: { type: Boolean, default: true },
+  // pinned = manual override: the exchange-rates job leaves this currency's rate alone
+  pinned: { type: Boolean, default: false },
+  lastRefreshedAt: { type: Date, default: null }, // last successful provider refresh
+  lastRefreshError: { type: String, default: null }, // last failed refresh (cleared on success)
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true })
+
+// Defaults mirror the CURRENCY_CONFIG table that used to be hard-coded in the controllers
+function defaultCurrencies() {
+  const effectiveFrom = new Date(0)
+  return [
+    { code: 'ZAR', name: 'South African rand', symbol: 'R', countries: ['South Africa'], rates: [{ rate: 17, effectiveFrom }] },
+    { code: 'NGN', name: 'Nigerian naira', symbol: '₦', countries: ['Nigeria'], rates: [{ rate: 1500, effectiveFrom }] },
+    { code: 'GHS', name: 'Ghanaian cedi', symbol: 'GH₵', countries: ['Ghana'], rates: [{ rate: 12.5, effectiveFrom }] },
+    { code: 'PHP', name: 'Philippine peso', symbol: '₱', countries: ['Philippines'], rates: [{ rate: 58, effectiveFrom }] }
+  ]
+}
+
+// Static method to list currencies (seeds the defaults if the collection is empty)
+CurrencySchema.statics.getCurrencies = async function(filter = {}) {
+  if (await this.estimatedDocumentCount() === 0) {
+    await this.insertMany(defaultCurrencies())
+  }
+  return this.find(filter).sort({ code: 1 })
+}
+
+// Static method: the active currency used for `country`, or null
+CurrencySchema.statics.forCountry = async function(country) {
+  if (!country) return null
+  const [currency] = await this.getCurrencies({ active: true, countries: country })
+  return currency || null
+}
+
+// Rate entry in effect at `asOf` (latest effectiveFrom not after it), or null
+CurrencySchema.methods.rateAt = function(asOf = new Date()) {
+  const at = new Date(asOf).getTime()
+  let current = null
+  for (const r of this.rates || []) {
+    const from = new Date(r.effectiveFrom).getTime()
+    if (from <= at && (!current || from >= new Date(current.effectiveFrom).getTime())) current = r
+  }
+  return current
+}
+
+// Snapshot stored on transactions: { code, symbol, rate, effectiveFrom } at `asOf` (null without a rate)
+CurrencySchema.methods.toSnapshot = function(asOf = new Date()) {
+  const r = this.rateAt(asOf)
+  if (!r) return null
+  return { code: this.code, symbol: this.symbol, rate: r.rate, effectiveFrom: r.effectiveFrom }
+}
+
+module.exports = mongoose.model('Currency', CurrencySchema)
@@ -0,0 +1,15 @@
+// models/Holiday.js
+// Admin-managed non-accrual dates: no profit accrues on these days (see utils/calcProfit.js).
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const HolidaySchema = new Schema({
+  date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/, index: true }, // YYYY-MM-DD
+  name: { type: String, required: true, trim: true },
+  type: { type: String, enum: ['public-holiday', 'platform-pause'], default: 'public-holiday' },
+  // empty = applies to every user; otherwise only to users whose country is listed
+  countries: { type: [String], default: [] },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true })
+
+module.exports = mongoose.model('Holiday', HolidaySchema)
@@ -0,0 +1,32 @@
+// models/LedgerEntry.js
+// One line of a double-entry journal. Every balance movement posts at least two lines sharing
+// the same journalId whose debits and credits sum to the same amount (see utils/ledger.js).
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const LedgerEntrySchema = new Schema({
+  journalId: { type: String, required: true },
+  line: { type: Number, required: true }, // position of this line inside its journal
+  // the customer this movement belongs to (set on platform-side lines too, for traceability)
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  // user:capital | user:netProfit | user:referralEarnings | user:withdrawalHold | platform:*
+  account: { type: String, required: true },
+  debit: { type: Number, default: 0 },
+  credit: { type: Number, default: 0 },
+  type: {
+    type: String,
+    enum: ['opening-balance', 'deposit', 'profit-accrual', 'withdrawal', 'withdrawal-hold', 'withdrawal-release', 'referral-commission', 'adjustment', 'maturity', 'reinvest', 'early-termination', 'reversal'],
+    required: true
+  },
+  transaction: { type: Schema.Types.ObjectId, ref: 'Transaction' },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  memo: String,
+  createdAt: { type: Date, default: Date.now }
+})
+
+// a journal line can only be written once; deterministic journal ids (accruals, opening balances)
+// rely on this to stay idempotent when two requests race
+LedgerEntrySchema.index({ journalId: 1, line: 1 }, { unique: true })
+LedgerEntrySchema.index({ user: 1, account: 1 })
+
+module.exports = mongoose.model('LedgerEntry', LedgerEntrySchema)
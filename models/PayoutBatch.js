@@ -0,0 +1,30 @@
+// models/PayoutBatch.js
+// A group of approved withdrawals handed to finance for payment. Creating a batch moves its
+// withdrawals from payoutStatus 'unpaid' to 'in_batch'; marking it paid moves them to 'paid', so a
+// withdrawal can only ever be in one batch and is never paid twice.
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const BatchGroupSchema = new Schema({
+  method: String, // bank | crypto | other
+  currency: String, // local currency code the user was quoted in (USD when none)
+  count: { type: Number, default: 0 },
+  total: { type: Number, default: 0 }, // USD
+  localTotal: { type: Number, default: 0 }
+}, { _id: false })
+
+const PayoutBatchSchema = new Schema({
+  reference: { type: String, required: true, unique: true }, // e.g. PB-20261018-4F2A
+  status: { type: String, enum: ['open', 'paid', 'cancelled'], default: 'open' },
+  transactions: [{ type: Schema.Types.ObjectId, ref: 'Transaction' }],
+  groups: { type: [BatchGroupSchema], default: [] },
+  total: { type: Number, default: 0 }, // USD
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  paidAt: Date,
+  paidBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  cancelledAt: Date,
+  cancelledBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  notes: String
+}, { timestamps: true })
+
+module.exports = mongoose.model('PayoutBatch', PayoutBatchSchema)
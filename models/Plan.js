@@ -0,0 +1,84 @@
+// models/Plan.js
+// Investment plans managed by admins (/api/admin/plans). Deposit requests reference a plan by id
+// and the plan is snapshotted onto the Transaction, so later edits never change approved deposits.
+const mongoose = require('mongoose')
+const Schema = mongoose.Schema
+
+const PlanSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  minAmount: { type: Number, required: true, min: 0 },
+  maxAmount: { type: Number, default: null }, // null = no upper limit
+  ratePercent: { type: Number, required: true, min: 0 }, // daily simple-interest percent (e.g. 4.5)
+  days: { type: Number, required: true, min: 1, default: 60 }, // calendar days window
+  active: { type: Boolean, default: true },
+  updatedBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true })
+
+// Default plans mirror the amount -> rate table that used to live in utils/calcProfit.js
+function defaultPlans() {
+  return [
+    { name: 'Starter', minAmount: 20, maxAmount: 99.99, ratePercent: 4, days: 60 },
+    { name: 'Basic', minAmount: 100, maxAmount: 499.99, ratePercent: 4.5, days: 60 },
+    { name: 'Standard', minAmount: 500, maxAmount: 999.99, ratePercent: 5, days: 60 },
+    { name: 'Premium', minAmount: 1000, maxAmount: 9999.99, ratePercent: 6, days: 60 },
+    { name: 'Elite', minAmount: 10000, maxAmount: null, ratePercent: 7, days: 60 }
+  ]
+}
+
+// Static method to list plans (seeds the defaults if the collection is empty)
+PlanSchema.statics.getPlans = async function(filter = {}) {
+  if (await this.estimatedDocumentCount() === 0) {
+    await this.insertMany(defaultPlans())
+  }
+  return this.find(filter).sort({ minAmount: 1 })
+}
+
+// Static method: the active plan whose range contains `amount` (lowest minimum wins on overlap)
+PlanSchema.statics.findForAmount = async function(amount) {
+  const plans = await this.getPlans({ active: true })
+  const n = Number(amount)
+  return plans.find(p => n >= p.minAmount && (p.maxAmount === null || p.maxAmount === undefined || n <= p.maxAmount)) || null
+}
+
+/**
+ * Plan.resolve(amount, planRef)
+ * Server-side plan selection for deposits, reinvestments and quotes. planRef is a plan id (or a legacy
+ * plan object carrying id/_id); without one, the active plan covering the amount is used.
+ * Returns { plan } or { error }.
+ */
+PlanSchema.statics.resolve = async function(amount, planRef) {
+  const requestedPlanId = (planRef && typeof planRef === 'object')
+    ? [planRef._id, planRef.id].find(v => mongoose.isValidObjectId(v)) || null
+    : planRef || null
+
+  let selectedPlan = null
+  if (requestedPlanId) {
+    if (!mongoose.isValidObjectId(requestedPlanId)) return { error: 'Invalid plan' }
+    selectedPlan = await this.findById(requestedPlanId)
+    if (!selectedPlan || !selectedPlan.active) return { error: 'Selected plan is not available' }
+  } else {
+    selectedPlan = await this.findForAmount(amount)
+    if (!selectedPlan) return { error: 'No investment plan is available for this amount' }
+  }
+
+  const hasMax = selectedPlan.maxAmount !== null && selectedPlan.maxAmount !== undefined
+  if (Number(amount) < selectedPlan.minAmount || (hasMax && Number(amount) > selectedPlan.maxAmount)) {
+    const range = hasMax ? `${selectedPlan.minAmount} - ${selectedPlan.maxAmount}` : `${selectedPlan.minAmount} or more`
+    return { error: `Amount must be ${range} for the ${selectedPlan.name} plan` }
+  }
+  return { plan: selectedPlan }
+}
+
+// Snapshot stored on deposit transactions
+PlanSchema.methods.toSnapshot = function() {
+  return {
+    planId: this._id,
+    name: this.name,
+    ratePercent: this.ratePercent,
+    days: this.days,
+    minAmount: this.minAmount,
+    maxAmount: this.maxAmount
+  }
+}
+
+module.exports = mongoose.model('Plan', PlanSchema)
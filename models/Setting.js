@@ -6,16 +6,89 @@ const PaymentMethodSchema = new Schema({
   id: { type: String, required: true, index: true },
   type: { type: String, enum: ['bank', 'crypto', 'other'], required: true },
   label: { type: String, default: '' }, // e.g., "Bank transfer", "Bitcoin"
-  // free-form details object to hold specific fields per type
+  // details per type (validated in controllers/settingsController.js):
+  // bank: bankName, accountName, accountNumber, branchCode?, reference?; crypto: crypto, network?, address
   details: { type: Schema.Types.Mixed, default: {} },
   content: { type: String, default: '' }, // optional description/instructions
-  createdAt: { type: Date, default: Date.now }
+  enabled: { type: Boolean, default: true },
+  countries: { type: [String], default: [] }, // countries the method is offered in; empty = everywhere
+  minDeposit: { type: Number, default: null }, // USD; null = no limit
+  maxDeposit: { type: Number, default: null },
+  currency: { type: String, default: null }, // currency the payment is made in (e.g. ZAR), null = USD
+  order: { type: Number, default: 0 }, // display order, lowest first
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date }
 }, { _id: false })
 
+// Whether the method is offered to someone in `country`
+PaymentMethodSchema.methods.appliesTo = function(country) {
+  if (!this.enabled) return false
+  if (!this.countries || this.countries.length === 0) return true
+  return Boolean(country) && this.countries.includes(country)
+}
+
 const SettingSchema = new Schema({
   // this app keeps a single settings doc
   paymentMethods: { type: [PaymentMethodSchema], default: [] },
   updatedAt: { type: Date, default: Date.now }
 })
 
+// Payment methods for a fresh install
+function defaultPaymentMethods() {
+  return [
+    {
+      id: 'bank-default',
+      type: 'bank',
+      label: 'Bank transfer',
+      details: {
+        bankName: 'FnB',
+        accountName: 'Gainbridge',
+        accountNumber: '62509963139',
+        reference: '0657350788'
+      },
+      content: `Make exact payment and use the reference. Note: Transfer from Capitec Bank is not allowed`,
+      order: 0
+    },
+    {
+      id: 'crypto-default',
+      type: 'crypto',
+      label: 'Bitcoin',
+      details: {
+        crypto: 'Bitcoin',
+        address: '3Liim5xHAkLEgUjzfw2DNFqbEkzaXgWWu8'
+      },
+      content: 'Make exact payment of the amount required.',
+      order: 1
+    }
+  ]
+}
+
+// Static method to get the settings doc (creates it with the default payment methods if none exists)
+SettingSchema.statics.getSettings = async function() {
+  let settings = await this.findOne()
+  if (!settings) {
+    settings = await this.create({ paymentMethods: defaultPaymentMethods() })
+  }
+  return settings
+}
+
+// Payment methods sorted for display
+SettingSchema.methods.sortedPaymentMethods = function() {
+  return [...this.paymentMethods].sort((a, b) => (a.order - b.order) || String(a.label).localeCompare(String(b.label)))
+}
+
+/**
+ * findPaymentMethod(name, country)
+ * The configured method a deposit refers to: by id, else (older clients send free text such as 'bank'
+ * or 'Bank transfer') the first method offered in `country` whose type or label matches, case-insensitively.
+ */
+SettingSchema.methods.findPaymentMethod = function(name, country) {
+  const byId = this.paymentMethods.find(m => m.id === name)
+  if (byId) return byId
+  const key = String(name || '').trim().toLowerCase()
+  if (!key) return null
+  const offered = this.sortedPaymentMethods().filter(m => m.appliesTo(country))
+  return offered.find(m => m.type === key) || offered.find(m => String(m.label).trim().toLowerCase() === key) || null
+}
+
 module.exports = mongoose.model('Setting', SettingSchema)
@@ -2,20 +2,47 @@
 const mongoose = require('mongoose')
 const Schema = mongoose.Schema
 
+// Local currency and rate in effect when the request was made (see models/Currency.js)
+const CurrencySnapshotSchema = new Schema({
+  code: String,
+  symbol: String,
+  rate: Number,
+  effectiveFrom: Date
+}, { _id: false })
+
 const TransactionSchema = new Schema({
   user: { type: Schema.Types.ObjectId, ref: 'User' },
-  type: { type: String, enum: ['deposit','withdraw'], required: true },
+  type: { type: String, enum: ['deposit','withdraw','maturity','reinvest','early-termination','referral-commission'], required: true }, // maturity = capital returned by the maturity job, reinvest = profit rolled into a deposit, early-termination = user asked to exit a deposit before its end date, referral-commission = commission credited to a referrer
   amount: { type: Number, required: true },
   // keep method as string id (e.g. 'bank-default') to avoid casting issues
   method: { type: String }, // bank / crypto / method-id
   // details can store full method object, plan snapshot, snapshot, etc.
   details: { type: Schema.Types.Mixed, default: {} }, // bank account / crypto address etc.
-  status: { type: String, enum: ['pending','approved','rejected'], default: 'pending' },
+  currency: { type: CurrencySnapshotSchema, default: null }, // null = user's country has no local currency
+  // Payout of an approved withdrawal: unpaid -> in_batch -> paid (see models/PayoutBatch.js).
+  // null for other types and for withdrawals approved before payout batches existed (paid by hand).
+  payoutStatus: { type: String, enum: ['unpaid', 'in_batch', 'paid'], default: null },
+  payoutBatch: { type: Schema.Types.ObjectId, ref: 'PayoutBatch', default: null },
+  paidAt: { type: Date },
+  // reversed = approved, then undone by an admin; cancelled = withdrawn by the user while pending;
+  // awaiting_second_approval = large withdrawal approved by one admin, waiting for another (maker-checker)
+  status: { type: String, enum: ['pending','awaiting_second_approval','approved','rejected','reversed','cancelled'], default: 'pending' },
   adminRemarks: String,
+  // client-supplied Idempotency-Key header; a repeated key returns the original request
+  idempotencyKey: { type: String },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 })
 
+// one transaction per user + idempotency key (only enforced when a key was sent)
+TransactionSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+)
+
+// approved withdrawals waiting for a payout batch
+TransactionSchema.index({ type: 1, status: 1, payoutStatus: 1 })
+
 // update `updatedAt` automatically
 TransactionSchema.pre('save', function(next) {
   this.updatedAt = new Date()
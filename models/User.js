@@ -8,7 +8,8 @@ const DepositSchema = new Schema({
   days: { type: Number, required: true }, // total calendar days window (e.g., 60)
   startDate: { type: Date, default: Date.now }, // approval start timestamp
   endDate: { type: Date },
-  status: { type: String, enum: ['active','completed'], default: 'active' }
+  status: { type: String, enum: ['active','completed','terminated','reversed'], default: 'active' }, // reversed = approval undone by an admin, never earns profit
+  terminatedAt: { type: Date } // set when an early-termination request is approved; accrual stops here
 }, { _id: false })
 
 const ReferralSchema = new Schema({
@@ -40,7 +41,9 @@ const UserSchema = new Schema({
   password: { type: String, required: true },
   phone: String,
   country: String,
+  timezone: { type: String, default: null }, // optional IANA timezone; accrual day boundaries use the platform timezone when unset
   role: { type: String, enum: ['user','agent','admin'], default: 'user' },
+  referredBy: { type: Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // direct referrer (level 1)
 
   capital: { type: Number, default: 0 }, // sum of approved deposits (reflects active capital)
   netProfit: { type: Number, default: 0 }, // computed/accumulated profit (can be recalculated)
@@ -65,7 +68,15 @@ const UserSchema = new Schema({
 
   // --- Withdrawal Restriction Fields ---
   withdrawalRestricted: { type: Boolean, default: false },
-  withdrawalRestrictionReason: { type: String, default: '' }
+  withdrawalRestrictionReason: { type: String, default: '' },
+  // Per-user overrides of the role's withdrawal limits (AdminSettings.withdrawalLimits); null = use the role's
+  withdrawalLimits: {
+    minAmount: { type: Number, default: null },
+    maxAmount: { type: Number, default: null },
+    dailyCap: { type: Number, default: null },
+    weeklyCap: { type: Number, default: null },
+    monthlyCap: { type: Number, default: null }
+  }
 
 })
 
@@ -5,6 +5,11 @@ const { protect } = require('../middleware/authMiddleware')
 const { isAdmin } = require('../middleware/adminMiddleware')
 const adminController = require('../controllers/adminController')
 const settingsController = require('../controllers/settingsController')
+const jobsController = require('../controllers/jobsController')
+const planController = require('../controllers/planController')
+const holidayController = require('../controllers/holidayController')
+const currencyController = require('../controllers/currencyController')
+const payoutController = require('../controllers/payoutController')
 
 // protect + isAdmin for all admin routes
 router.use(protect, isAdmin)
@@ -13,10 +18,51 @@ router.use(protect, isAdmin)
 router.get('/settings', settingsController.getAdminSettings)
 router.put('/settings', settingsController.updateAdminSettings)
 
+// Deposit payment methods, one at a time
+router.get('/payment-methods', settingsController.listPaymentMethods)
+router.post('/payment-methods', settingsController.createPaymentMethod)
+router.patch('/payment-methods/:methodId', settingsController.updatePaymentMethod)
+router.delete('/payment-methods/:methodId', settingsController.deletePaymentMethod)
+
+// Investment plans
+router.get('/plans', planController.listPlans)
+router.post('/plans', planController.createPlan)
+router.patch('/plans/:id', planController.updatePlan)
+router.delete('/plans/:id', planController.deletePlan)
+
+// Non-accrual calendar (public holidays, platform pauses)
+router.get('/holidays', holidayController.listHolidays)
+router.post('/holidays', holidayController.createHoliday)
+router.patch('/holidays/:id', holidayController.updateHoliday)
+router.delete('/holidays/:id', holidayController.deleteHoliday)
+
+// Local currencies and their effective-dated rates
+router.get('/currencies', currencyController.listCurrencies)
+router.post('/currencies', currencyController.createCurrency)
+router.patch('/currencies/:id', currencyController.updateCurrency)
+router.post('/currencies/:id/rates', currencyController.addRate)
+router.delete('/currencies/:id', currencyController.deleteCurrency)
+
+// Payout batches for approved withdrawals (CSV export per method)
+router.get('/payouts/pending', payoutController.listUnpaid)
+router.get('/payouts/batches', payoutController.listBatches)
+router.post('/payouts/batches', payoutController.createBatch)
+router.get('/payouts/batches/:id', payoutController.getBatch)
+router.get('/payouts/batches/:id/export', payoutController.exportBatch)
+router.post('/payouts/batches/:id/paid', payoutController.markBatchPaid)
+router.post('/payouts/batches/:id/cancel', payoutController.cancelBatch)
+
 // Withdrawal management endpoints (NEW)
 router.patch('/users/bulk-withdrawal-restriction', adminController.bulkUpdateWithdrawalRestriction)
 router.get('/withdrawal-settings', adminController.getWithdrawalSettings)
 router.put('/withdrawal-settings', adminController.updateWithdrawalSettings)
+router.get('/withdrawal-limits', adminController.getWithdrawalLimits)
+router.put('/withdrawal-limits', adminController.updateWithdrawalLimits)
+router.put('/timezone', adminController.updateTimezone)
+
+// Referral commission tiers
+router.get('/referral-settings', adminController.getReferralSettings)
+router.put('/referral-settings', adminController.updateReferralSettings)
 
 router.get('/withdraws', adminController.listWithdraws) // ?status=pending
 router.get('/deposits', adminController.listDeposits)
@@ -29,6 +75,14 @@ router.get('/history', adminController.history)
 router.get('/requests', adminController.listRequests)
 router.post('/requests/:id/approve', adminController.approveRequest)
 router.post('/requests/:id/reject', adminController.rejectRequest)
+router.post('/requests/:id/reverse', adminController.reverseRequest) // body: { reason }
+
+// balance reconciliation report
+router.get('/reconciliation', adminController.reconciliation)
+
+// background jobs (maturity etc.)
+router.get('/jobs', jobsController.listJobs)
+router.post('/jobs/:job/run', jobsController.runJobNow)
 
 // === Messages (new) ===
 // Admin send message to users (body.to = [userIdOrEmail...])
@@ -40,6 +94,8 @@ router.get('/user/:id/messages', adminController.getUserMessages)
 router.get('/users', adminController.listUsers)
 router.get('/user/:id', adminController.getUser) // get single user details
 router.get('/user/:id/transactions', adminController.getUserTransactions)
+router.get('/user/:id/ledger', adminController.getUserLedger)
+router.put('/user/:id/withdrawal-limits', adminController.updateUserWithdrawalLimits)
 router.patch('/user/:id', adminController.updateUser)
 router.delete('/user/:id', adminController.deleteUser)
 
@@ -0,0 +1,10 @@
+// routes/cron.js
+const express = require('express')
+const router = express.Router()
+const { isCron } = require('../middleware/cronMiddleware')
+const { runCronJob } = require('../controllers/jobsController')
+
+// GET /api/cron/deposit-maturity etc.
+router.get('/:job', isCron, runCronJob)
+
+module.exports = router
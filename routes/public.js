@@ -2,8 +2,19 @@
 const express = require('express')
 const router = express.Router()
 const { stats } = require('../controllers/publicController')
+const { listActivePlans, quotePlan } = require('../controllers/planController')
+const { listHolidays } = require('../controllers/holidayController')
 
 // GET /api/public/stats
 router.get('/stats', stats)
 
+// GET /api/public/plans
+router.get('/plans', listActivePlans)
+
+// GET /api/public/plans/quote?amount=&planId=&country= (projection + local currency)
+router.get('/plans/quote', quotePlan)
+
+// GET /api/public/holidays?country=&from=&to= (non-accrual dates)
+router.get('/holidays', listHolidays)
+
 module.exports = router
@@ -2,7 +2,9 @@
 const express = require('express')
 const router = express.Router()
 const settingsController = require('../controllers/settingsController')
+const { optionalAuth } = require('../middleware/authMiddleware')
 
-router.get('/', settingsController.getPublicSettings)
+// GET /api/settings?country= - enabled payment methods for the caller's country (from the token when signed in)
+router.get('/', optionalAuth, settingsController.getPublicSettings)
 
 module.exports = router
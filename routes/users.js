@@ -5,20 +5,32 @@ const { protect } = require('../middleware/authMiddleware')
 const {
   getOverview,
   getTransactions,
+  getEarnings,
   getReferrals,
   updateProfile,
   createWithdrawRequest,
   createDepositRequest,
+  reinvest,
+  createEarlyTerminationRequest,
+  cancelRequest,
   getMessages,
   postMessage
 } = require('../controllers/userController')
 
+const {
+  listBeneficiaries,
+  createBeneficiary,
+  updateBeneficiary,
+  deleteBeneficiary
+} = require('../controllers/beneficiaryController')
+
 // Import upload controller
 const uploadController = require('../controllers/uploadController')
 
 // All routes under /api/users
 router.get('/:id/overview', protect, getOverview)
 router.get('/:id/transactions', protect, getTransactions)
+router.get('/:id/earnings', protect, getEarnings)
 router.get('/:id/referrals', protect, getReferrals)
 
 // Accept both PUT and PATCH for profile updates (frontend uses PATCH)
@@ -27,6 +39,15 @@ router.patch('/:id', protect, updateProfile)
 
 router.post('/:id/withdraw', protect, createWithdrawRequest)
 router.post('/:id/deposit', protect, createDepositRequest)
+router.post('/:id/reinvest', protect, reinvest)
+router.post('/:id/early-termination', protect, createEarlyTerminationRequest)
+router.post('/:id/transactions/:txId/cancel', protect, cancelRequest)
+
+// Saved withdrawal destinations (usable once their cooling-off period has passed)
+router.get('/:id/beneficiaries', protect, listBeneficiaries)
+router.post('/:id/beneficiaries', protect, createBeneficiary)
+router.patch('/:id/beneficiaries/:beneficiaryId', protect, updateBeneficiary)
+router.delete('/:id/beneficiaries/:beneficiaryId', protect, deleteBeneficiary)
 
 // messages
 router.get('/:id/messages', protect, getMessages)
@@ -0,0 +1,44 @@
+// scripts/reconcileBalances.js
+// Usage: node scripts/reconcileBalances.js [--tolerance=0.01] [--all] [--json]
+// Lists every user whose stored or ledger balances drift from the recomputed values.
+require('dotenv').config()
+const connectDB = require('../config/db')
+const { reconcileAll } = require('../utils/reconciliation')
+
+function arg(name) {
+  const hit = process.argv.find(a => a === `--${name}` || a.startsWith(`--${name}=`))
+  if (!hit) return undefined
+  const [, value] = hit.split('=')
+  return value === undefined ? true : value
+}
+
+async function run() {
+  try {
+    await connectDB()
+    const tolerance = Number(arg('tolerance') ?? 0.01)
+    const report = await reconcileAll({ tolerance, includeClean: Boolean(arg('all')) })
+
+    if (arg('json')) {
+      console.log(JSON.stringify(report, null, 2))
+    } else {
+      console.log(`Checked ${report.checked} users, ${report.drifted} drifting (tolerance ${report.tolerance})`)
+      for (const row of report.users) {
+        console.log(`\n${row.email} (${row.userId})`)
+        for (const d of row.drift) {
+          console.log(`  ${d.field}: expected ${d.expected}, stored ${d.stored} (${d.storedDiff}), ledger ${d.ledger ?? '—'} (${d.ledgerDiff ?? '—'})`)
+        }
+        if (row.inferredWithdrawals.length) console.log(`  withdrawals with inferred breakdown: ${row.inferredWithdrawals.length}`)
+        for (const m of row.heuristicMismatches) {
+          console.log(`  tx ${m.txId}: approvedBreakdown.fromNet ${m.explicitFromNet} vs snapshot inference ${m.inferredFromNet}`)
+        }
+      }
+    }
+
+    process.exit(0)
+  } catch (err) {
+    console.error('Reconciliation failed', err)
+    process.exit(1)
+  }
+}
+
+run()
@@ -0,0 +1,25 @@
+// scripts/runJob.js
+// Usage: node scripts/runJob.js <job-name>   (e.g. deposit-maturity, accrual-snapshots)
+// Runs one background job once, for system cron or manual catch-up.
+require('dotenv').config()
+const connectDB = require('../config/db')
+const { jobs, runJob } = require('../jobs')
+
+async function run() {
+  const name = process.argv[2]
+  if (!name || !jobs[name]) {
+    console.error(`Usage: node scripts/runJob.js <${Object.keys(jobs).join('|')}>`)
+    process.exit(1)
+  }
+  try {
+    await connectDB()
+    const outcome = await runJob(name)
+    console.log(JSON.stringify(outcome, null, 2))
+    process.exit(0)
+  } catch (err) {
+    console.error('Job failed', err)
+    process.exit(1)
+  }
+}
+
+run()
@@ -8,6 +8,7 @@ const morgan = require('morgan')
 const fileUpload = require('express-fileupload')
 const connectDB = require('./config/db')
 const errorHandler = require('./middleware/errorHandler')
+const { startScheduler } = require('./jobs/scheduler')
 
 const authRoutes = require('./routes/auth')
 const userRoutes = require('./routes/users')
@@ -15,6 +16,7 @@ const adminRoutes = require('./routes/admin')
 const notifyRoutes = require('./routes/notify')
 const publicRoutes = require('./routes/public') // <-- existing
 const settingsRoutes = require('./routes/settings') // <-- added: public settings endpoint
+const cronRoutes = require('./routes/cron') // scheduled jobs (Vercel Cron)
 
 const app = express()
 connectDB()
@@ -42,10 +44,11 @@ app.use('/api/admin', adminRoutes)
 app.use('/api/notify', notifyRoutes)
 app.use('/api/public', publicRoutes) // <-- mount public endpoints
 app.use('/api/settings', settingsRoutes) // <-- mount settings (public) endpoint
+app.use('/api/cron', cronRoutes) // <-- scheduled jobs, protected by CRON_SECRET
 
 app.get('/', (req, res) => res.send('GainBridge API — running. Visit /api for endpoints.'))
 app.get('/api', (req, res) => res.json({
-  message: 'GainBridge API root. Available routes: /api/auth, /api/users, /api/admin, /api/notify, /api/public, /api/settings'
+  message: 'GainBridge API root. Available routes: /api/auth, /api/users, /api/admin, /api/notify, /api/public, /api/settings, /api/cron'
 }))
 
 // Health check endpoint for Vercel
@@ -70,4 +73,7 @@ if (process.env.NODE_ENV === 'production') {
 app.use(errorHandler)
 
 const PORT = process.env.PORT || 5000
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
\ No newline at end of file
+app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
+
+// Long-running servers run background jobs in-process; on Vercel they come from Vercel Cron
+if (!process.env.VERCEL && process.env.DISABLE_SCHEDULER !== 'true') startScheduler()
\ No newline at end of file
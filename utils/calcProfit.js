@@ -2,57 +2,96 @@
 // Server-side profit calculation updated to:
 // - Simple interest (not compound).
 // - Start counting profit immediately after deposit.startDate / approvedAt (no 24-hour delay).
-// - Exclude weekends (count business minutes only).
-// - Cap profit at 60 calendar days from startDate (so typical result for 60-day window is ~42 business days).
+// - Exclude weekends and admin-managed non-accrual dates (public holidays, platform pauses).
+// - Cap profit at the deposit's `days` window from startDate (60 calendar days by default, ~42 business days).
 'use strict'
 
-// Helpers to compute number of business days (exclude weekends) between two dates (inclusive start exclusive end)
-function businessDaysBetween(startDate, endDate) {
-  const s = new Date(startDate)
-  const e = new Date(endDate)
-  s.setHours(0,0,0,0)
-  e.setHours(0,0,0,0)
+const tz = require('./timezone')
+
+// Non-accrual calendar and platform timezone, kept in memory so the calculations below stay synchronous.
+// Filled by utils/calendar.js from the Holiday collection (YYYY-MM-DD -> null for all countries, or [countries])
+// and AdminSettings.timezone. Day boundaries are always taken in a timezone, never the server's local time.
+let nonAccrualDates = new Map()
+let platformTimeZone = process.env.PLATFORM_TIMEZONE || 'Africa/Johannesburg'
+
+function setNonAccrualDates(map) {
+  nonAccrualDates = map instanceof Map ? map : new Map()
+}
+
+function setPlatformTimeZone(timeZone) {
+  if (tz.isValidTimeZone(timeZone)) platformTimeZone = timeZone
+}
+
+function getPlatformTimeZone() {
+  return platformTimeZone
+}
+
+// options.timeZone (e.g. the user's own) wins over the platform timezone
+function zoneFor(options = {}) {
+  return tz.isValidTimeZone(options.timeZone) ? options.timeZone : platformTimeZone
+}
+
+function dateKey(date, options = {}) {
+  return tz.dateKey(date, zoneFor(options))
+}
+
+// true for weekdays that are not a non-accrual date (for `options.country`, when the date is country-specific)
+function isAccrualDay(date, options = {}) {
+  const { weekday } = tz.zonedParts(date, zoneFor(options))
+  if (weekday === 0 || weekday === 6) return false
+  const entry = nonAccrualDates.get(dateKey(date, options))
+  if (entry === undefined) return true
+  if (entry === null) return false
+  return !(options.country && entry.includes(options.country))
+}
+
+// `date` plus `days` calendar days in the platform (or options.timeZone) timezone
+function addCalendarDays(date, days, options = {}) {
+  return tz.addDays(date, days, zoneFor(options))
+}
+
+// Helpers to compute number of business days (exclude weekends/holidays) between two dates (inclusive start exclusive end)
+function businessDaysBetween(startDate, endDate, options = {}) {
+  const zone = zoneFor(options)
+  const s = tz.startOfDay(startDate, zone)
+  const e = tz.startOfDay(endDate, zone)
   if (e <= s) return 0
   let count = 0
-  const cur = new Date(s)
+  let cur = s
   while (cur < e) {
-    const day = cur.getDay()
-    if (day !== 0 && day !== 6) count++
-    cur.setDate(cur.getDate() + 1)
+    if (isAccrualDay(cur, options)) count++
+    cur = tz.startOfNextDay(cur, zone)
   }
   return count
 }
 
-// Count business minutes (Mon-Fri) between two timestamps (start inclusive, end exclusive)
-function businessMinutesBetween(startDate, endDate) {
+// Count business minutes (Mon-Fri, minus non-accrual dates) between two timestamps (start inclusive, end exclusive)
+function businessMinutesBetween(startDate, endDate, options = {}) {
+  const zone = zoneFor(options)
   const s = new Date(startDate)
   const e = new Date(endDate)
   if (e <= s) return 0
 
   // Normalize seconds/milliseconds to zero for consistent minute rounding
-  s.setSeconds(0,0)
-  e.setSeconds(0,0)
+  s.setUTCSeconds(0,0)
+  e.setUTCSeconds(0,0)
 
   let minutes = 0
   // We'll iterate day-by-day (at most 60 days -> cheap)
-  const cur = new Date(s)
+  let cur = s
   while (cur < e) {
-    const day = cur.getDay()
-    // compute the end of this day segment (start of next day)
-    const nextDay = new Date(cur)
-    nextDay.setDate(nextDay.getDate() + 1)
-    nextDay.setHours(0,0,0,0)
+    // compute the end of this day segment (start of next local day)
+    const nextDay = tz.startOfNextDay(cur, zone)
 
     // segmentEnd is the earlier of nextDay and e
     const segmentEnd = nextDay < e ? nextDay : e
 
-    if (day !== 0 && day !== 6) {
+    if (isAccrualDay(cur, options)) {
       minutes += Math.floor((segmentEnd - cur) / (60 * 1000))
     }
 
     // advance cur to start of next day
-    cur.setDate(cur.getDate() + 1)
-    cur.setHours(0,0,0,0)
+    cur = nextDay
   }
 
   return minutes
@@ -85,27 +124,32 @@ function rateForAmount(amount) {
   return 5
 }
 
-// compute total profit earned for a deposit up to now (exclude weekends and capped at 60 calendar days)
+// compute total profit earned for a deposit up to now (exclude weekends and capped at deposit.days calendar days, default 60)
 // Profit counting NOW STARTS IMMEDIATELY at deposit.startDate or deposit.approvedAt (no 24-hour delay).
 // Uses SIMPLE interest: dailyProfit = amount * (ratePercent/100)
 // Accrues continuously by minute (minutes of business time are counted).
-function profitForDeposit(deposit, asOf = new Date()) {
-  if (!deposit) return 0
+// options.country applies country-specific non-accrual dates, options.timeZone the depositor's timezone.
+function profitForDeposit(deposit, asOf = new Date(), options = {}) {
+  // a reversed deposit was never valid: it earns nothing
+  if (!deposit || deposit.status === 'reversed') return 0
 
   // Accept either explicit startDate or approvedAt
   const startCandidate = deposit.startDate || deposit.approvedAt
   if (!startCandidate) return 0
   const start = new Date(startCandidate)
   const explicitEnd = deposit.endDate ? new Date(deposit.endDate) : null
+  // an approved early termination stops accrual at the termination date
+  const terminatedAt = deposit.terminatedAt ? new Date(deposit.terminatedAt) : null
   const asOfDate = new Date(asOf)
 
-  // cap date is start + 60 calendar days
-  const cap = new Date(start)
-  cap.setDate(cap.getDate() + 60)
+  // cap date is start + the deposit window in calendar days (60 when the deposit does not say)
+  const windowDays = Number(deposit.days) > 0 ? Number(deposit.days) : 60
+  const cap = addCalendarDays(start, windowDays, options)
 
-  // choose the earliest of explicitEnd, asOf, cap
+  // choose the earliest of explicitEnd, terminatedAt, asOf, cap
   let upto = asOfDate
   if (explicitEnd && explicitEnd < upto) upto = explicitEnd
+  if (terminatedAt && terminatedAt < upto) upto = terminatedAt
   if (cap < upto) upto = cap
 
   // NOTE: Profit starts immediately at `start` (no +24h)
@@ -115,7 +159,7 @@ function profitForDeposit(deposit, asOf = new Date()) {
   if (profitStart >= upto) return 0
 
   // minutes of business time between profitStart (inclusive) and upto (exclusive)
-  const minutes = businessMinutesBetween(profitStart, upto)
+  const minutes = businessMinutesBetween(profitStart, upto, options)
   if (minutes <= 0) return 0
 
   // determine ratePercent (use deposit.ratePercent if present, otherwise infer)
@@ -131,17 +175,29 @@ function profitForDeposit(deposit, asOf = new Date()) {
   return Number(profit.toFixed(2))
 }
 
+// Maturity date of a deposit: explicit endDate, otherwise start + deposit.days (60 by default) calendar days
+function depositEndDate(deposit, options = {}) {
+  if (!deposit) return null
+  if (deposit.endDate) return new Date(deposit.endDate)
+  const startCandidate = deposit.startDate || deposit.approvedAt
+  if (!startCandidate) return null
+  return addCalendarDays(startCandidate, Number(deposit.days) > 0 ? Number(deposit.days) : 60, options)
+}
+
 /**
  * Helper: compute plan-style profit summary for a principal/rate/days window.
- * - businessDays: approximate weekdays in `days` calendar days (floor(days * 5/7))
+ * - businessDays: weekdays in the `days` calendar days starting at options.startDate (default now),
+ *   minus non-accrual dates (options.country for country-specific ones)
  * - dailyProfit: principal * (ratePercent/100)  (simple interest per full day)
  * - totalProfit: dailyProfit * businessDays (profit only — that's what UI's "Total Return" shows)
  * - totalAfter: principal + totalProfit (final payout)
  *
  * This helper is for UI and plan previews. It does NOT change minute-accurate profitForDeposit logic.
  */
-function planProfitForAmount(principal, ratePercent, days = 60) {
-  const businessDays = Math.floor(days * 5 / 7)
+function planProfitForAmount(principal, ratePercent, days = 60, options = {}) {
+  const start = options.startDate ? new Date(options.startDate) : new Date()
+  const end = addCalendarDays(start, Number(days), options)
+  const businessDays = businessDaysBetween(start, end, options)
   const rate = Number(ratePercent) / 100
   const dailyProfit = Number((Number(principal) * rate))
   const totalProfit = Number((dailyProfit * businessDays))
@@ -154,4 +210,17 @@ function planProfitForAmount(principal, ratePercent, days = 60) {
   }
 }
 
-module.exports = { businessDaysBetween, businessMinutesBetween, rateForAmount, profitForDeposit, planProfitForAmount }
+module.exports = {
+  setNonAccrualDates,
+  setPlatformTimeZone,
+  getPlatformTimeZone,
+  dateKey,
+  isAccrualDay,
+  addCalendarDays,
+  businessDaysBetween,
+  businessMinutesBetween,
+  rateForAmount,
+  profitForDeposit,
+  depositEndDate,
+  planProfitForAmount
+}
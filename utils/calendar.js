@@ -0,0 +1,45 @@
+// utils/calendar.js
+// Loads the accrual calendar used by utils/calcProfit.js: the Holiday collection (non-accrual dates)
+// and the platform timezone from AdminSettings. Call ensureCalendarLoaded() before any profit or
+// schedule calculation; admin edits call loadCalendar() directly so changes apply immediately.
+const Holiday = require('../models/Holiday')
+const AdminSettings = require('../models/AdminSettings')
+const { setNonAccrualDates, setPlatformTimeZone } = require('./calcProfit')
+
+const CACHE_TTL_MS = 5 * 60 * 1000
+let loadedAt = 0
+
+async function loadCalendar() {
+  const [rows, settings] = await Promise.all([
+    Holiday.find().select('date countries').lean(),
+    AdminSettings.getSettings()
+  ])
+
+  const map = new Map()
+  for (const h of rows) {
+    const countries = Array.isArray(h.countries) ? h.countries.filter(Boolean) : []
+    const existing = map.get(h.date)
+    if (countries.length === 0 || existing === null) {
+      // a date that applies to everyone wins over country-specific entries
+      map.set(h.date, null)
+    } else {
+      map.set(h.date, Array.from(new Set([...(existing || []), ...countries])))
+    }
+  }
+  setNonAccrualDates(map)
+  if (settings && settings.timezone) setPlatformTimeZone(settings.timezone)
+  loadedAt = Date.now()
+  return map
+}
+
+async function ensureCalendarLoaded() {
+  if (Date.now() - loadedAt < CACHE_TTL_MS) return
+  try {
+    await loadCalendar()
+  } catch (err) {
+    // keep whatever calendar we had; profit maths must not fail because of this
+    console.warn('ensureCalendarLoaded: could not load calendar', err?.message || err)
+  }
+}
+
+module.exports = { loadCalendar, ensureCalendarLoaded }
@@ -0,0 +1,222 @@
+// utils/cryptoAddress.js
+// Network-aware validation of crypto withdrawal addresses, so a typo is rejected when the request is made
+// instead of being paid to a wrong (or non-existent) address:
+//   BTC   - base58check (P2PKH / P2SH) or bech32 / bech32m segwit, mainnet only
+//   ERC20 - 0x + 40 hex; mixed-case addresses must match the EIP-55 checksum
+//   TRC20 - TRON base58check (version byte 0x41, starts with T)
+const crypto = require('crypto')
+
+const NETWORKS = {
+  BTC: { label: 'Bitcoin', coin: 'BTC' },
+  ERC20: { label: 'Ethereum (ERC-20)', coin: 'USDT' },
+  TRC20: { label: 'TRON (TRC-20)', coin: 'USDT' }
+}
+
+function sha256(buf) {
+  return crypto.createHash('sha256').update(buf).digest()
+}
+
+// ---- Keccak-256 (the pre-standard SHA-3 padding Ethereum uses; node's sha3-256 differs) ----
+
+const MASK64 = (1n << 64n) - 1n
+const KECCAK_RC = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+]
+const KECCAK_ROTC = [1, 3, 6, 10, 15, 21, 28, 36, 45, 55, 2, 14, 27, 41, 56, 8, 25, 43, 62, 18, 39, 61, 20, 44]
+const KECCAK_PILN = [10, 7, 11, 17, 18, 3, 5, 16, 8, 21, 24, 4, 15, 23, 19, 13, 12, 2, 20, 14, 22, 9, 6, 1]
+
+function rotl64(x, n) {
+  return ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK64
+}
+
+function keccakF(st) {
+  const bc = new Array(5)
+  for (let round = 0; round < 24; round++) {
+    for (let i = 0; i < 5; i++) bc[i] = st[i] ^ st[i + 5] ^ st[i + 10] ^ st[i + 15] ^ st[i + 20]
+    for (let i = 0; i < 5; i++) {
+      const t = bc[(i + 4) % 5] ^ rotl64(bc[(i + 1) % 5], 1)
+      for (let j = 0; j < 25; j += 5) st[j + i] ^= t
+    }
+    let t = st[1]
+    for (let i = 0; i < 24; i++) {
+      const j = KECCAK_PILN[i]
+      const tmp = st[j]
+      st[j] = rotl64(t, KECCAK_ROTC[i])
+      t = tmp
+    }
+    for (let j = 0; j < 25; j += 5) {
+      for (let i = 0; i < 5; i++) bc[i] = st[j + i]
+      for (let i = 0; i < 5; i++) st[j + i] ^= (bc[(i + 1) % 5] ^ MASK64) & bc[(i + 2) % 5]
+    }
+    st[0] ^= KECCAK_RC[round]
+  }
+}
+
+function keccak256(input) {
+  const rate = 136
+  const data = Buffer.from(input)
+  const padded = Buffer.alloc(Math.floor(data.length / rate) * rate + rate)
+  data.copy(padded)
+  padded[data.length] ^= 0x01
+  padded[padded.length - 1] ^= 0x80
+
+  const st = new Array(25).fill(0n)
+  for (let off = 0; off < padded.length; off += rate) {
+    for (let i = 0; i < rate / 8; i++) st[i] ^= padded.readBigUInt64LE(off + i * 8)
+    keccakF(st)
+  }
+  const out = Buffer.alloc(32)
+  for (let i = 0; i < 4; i++) out.writeBigUInt64LE(st[i], i * 8)
+  return out
+}
+
+// ---- base58check ----
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+// Payload bytes (version byte first) of a valid base58check string, or null
+function base58checkDecode(str) {
+  let n = 0n
+  for (const ch of str) {
+    const v = BASE58_ALPHABET.indexOf(ch)
+    if (v < 0) return null
+    n = n * 58n + BigInt(v)
+  }
+  let hex = n.toString(16)
+  if (hex.length % 2) hex = '0' + hex
+  const zeros = str.match(/^1*/)[0].length
+  const bytes = Buffer.concat([Buffer.alloc(zeros), n > 0n ? Buffer.from(hex, 'hex') : Buffer.alloc(0)])
+  if (bytes.length < 5) return null
+  const payload = bytes.subarray(0, bytes.length - 4)
+  const checksum = sha256(sha256(payload)).subarray(0, 4)
+  return checksum.equals(bytes.subarray(bytes.length - 4)) ? payload : null
+}
+
+// ---- bech32 / bech32m (BIP-173, BIP-350) ----
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const BECH32_CONST = 1
+const BECH32M_CONST = 0x2bc830a3
+
+function bech32Polymod(values) {
+  const GEN = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]
+  let chk = 1
+  for (const v of values) {
+    const top = chk >>> 25
+    chk = ((chk & 0x1ffffff) << 5) ^ v
+    for (let i = 0; i < 5; i++) if ((top >>> i) & 1) chk ^= GEN[i]
+  }
+  return chk >>> 0
+}
+
+// { hrp, data (5-bit words, checksum removed), encoding: 'bech32' | 'bech32m' } or null
+function bech32Decode(str) {
+  if (str.length > 90 || (str !== str.toLowerCase() && str !== str.toUpperCase())) return null
+  const s = str.toLowerCase()
+  const pos = s.lastIndexOf('1')
+  if (pos < 1 || pos + 7 > s.length) return null
+  const hrp = s.slice(0, pos)
+  const data = []
+  for (const ch of s.slice(pos + 1)) {
+    const v = BECH32_CHARSET.indexOf(ch)
+    if (v < 0) return null
+    data.push(v)
+  }
+  const expanded = [...hrp].map(c => c.charCodeAt(0) >> 5).concat([0], [...hrp].map(c => c.charCodeAt(0) & 31))
+  const check = bech32Polymod(expanded.concat(data))
+  const encoding = check === BECH32_CONST ? 'bech32' : check === BECH32M_CONST ? 'bech32m' : null
+  return encoding ? { hrp, data: data.slice(0, -6), encoding } : null
+}
+
+function convertBits(data, from, to) {
+  let acc = 0
+  let bits = 0
+  const out = []
+  for (const v of data) {
+    acc = (acc << from) | v
+    bits += from
+    while (bits >= to) {
+      bits -= to
+      out.push((acc >> bits) & ((1 << to) - 1))
+    }
+  }
+  // leftover bits must be zero padding shorter than one input group
+  if (bits >= from || ((acc << (to - bits)) & ((1 << to) - 1))) return null
+  return out
+}
+
+// ---- per-network checks ----
+
+function validateBitcoin(address) {
+  if (/^bc1/i.test(address)) {
+    const dec = bech32Decode(address)
+    if (!dec || dec.hrp !== 'bc' || dec.data.length < 1) return null
+    const version = dec.data[0]
+    const program = convertBits(dec.data.slice(1), 5, 8)
+    if (version > 16 || !program || program.length < 2 || program.length > 40) return null
+    if (version === 0 && (dec.encoding !== 'bech32' || (program.length !== 20 && program.length !== 32))) return null
+    if (version !== 0 && dec.encoding !== 'bech32m') return null
+    return address.toLowerCase()
+  }
+  const payload = base58checkDecode(address)
+  // 0x00 = P2PKH (1...), 0x05 = P2SH (3...)
+  if (!payload || payload.length !== 21 || (payload[0] !== 0x00 && payload[0] !== 0x05)) return null
+  return address
+}
+
+// EIP-55 checksummed form of a 0x address (any case)
+function toChecksumAddress(address) {
+  const lower = address.slice(2).toLowerCase()
+  const hash = keccak256(lower).toString('hex')
+  let out = '0x'
+  for (let i = 0; i < lower.length; i++) out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i]
+  return out
+}
+
+function validateEvm(address) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(address)) return null
+  const body = address.slice(2)
+  const checksummed = toChecksumAddress(address)
+  // all-lower / all-upper carry no checksum; mixed case must match it exactly
+  if (body !== body.toLowerCase() && body !== body.toUpperCase() && checksummed !== address) return null
+  return checksummed
+}
+
+function validateTron(address) {
+  if (!/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address)) return null
+  const payload = base58checkDecode(address)
+  return payload && payload.length === 21 && payload[0] === 0x41 ? address : null
+}
+
+const VALIDATORS = { BTC: validateBitcoin, ERC20: validateEvm, TRC20: validateTron }
+
+// 'trc-20', 'usdt-trc20', 'erc20 ' ... -> 'TRC20' / 'ERC20' / 'BTC', or null
+function normalizeNetwork(network) {
+  const key = String(network || '').trim().toUpperCase().replace(/[\s_-]/g, '').replace(/^USDT/, '')
+  if (key === 'BITCOIN') return 'BTC'
+  return NETWORKS[key] ? key : null
+}
+
+/**
+ * validateCryptoAddress(network, address)
+ * Returns { network, address } with the normalized network code and address (EIP-55 checksummed
+ * for ERC20, lower-case for bech32), or { error }.
+ */
+function validateCryptoAddress(network, address) {
+  const code = normalizeNetwork(network)
+  if (!code) {
+    return { error: `Network is required for cryptocurrency withdrawals (one of ${Object.keys(NETWORKS).join(', ')})` }
+  }
+  const raw = String(address || '').trim()
+  if (!raw) return { error: 'Wallet address is required for cryptocurrency withdrawals' }
+  const normalized = VALIDATORS[code](raw)
+  if (!normalized) return { error: `Wallet address is not a valid ${NETWORKS[code].label} address` }
+  return { network: code, address: normalized }
+}
+
+module.exports = { NETWORKS, normalizeNetwork, validateCryptoAddress, toChecksumAddress, keccak256 }
@@ -0,0 +1,22 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV writer (used for payout batch exports).
+
+// Quote a value when needed; leading =, +, - or @ is prefixed with ' so spreadsheets do not run it as a formula
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  let s = value instanceof Date ? value.toISOString() : String(value)
+  if (/^[=+\-@]/.test(s) && Number.isNaN(Number(s))) s = `'${s}`
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+/**
+ * toCsv(columns, rows)
+ * columns: [{ key, label }]; rows: plain objects. Returns the CSV text (CRLF line endings).
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(c => csvCell(c.label)).join(',')]
+  for (const row of rows) lines.push(columns.map(c => csvCell(row[c.key])).join(','))
+  return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = { csvCell, toCsv }
@@ -0,0 +1,15 @@
+// utils/currency.js
+// Base-currency (USD) to local-currency conversion backed by the Currency collection.
+const Currency = require('../models/Currency')
+
+/**
+ * getCurrencyConfig(country, asOf)
+ * { code, symbol, rate, effectiveFrom } for the user's country at `asOf`, or null when the
+ * country has no active currency (amounts are then shown in USD only).
+ */
+async function getCurrencyConfig(country, asOf = new Date()) {
+  const currency = await Currency.forCountry(country)
+  return currency ? currency.toSnapshot(asOf) : null
+}
+
+module.exports = { getCurrencyConfig }
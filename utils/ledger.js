@@ -0,0 +1,535 @@
+// utils/ledger.js
+// Double-entry ledger behind user balances.
+// - Every movement posts a balanced journal (sum of debits === sum of credits) into LedgerEntry.
+// - user.capital / user.netProfit / user.referralEarnings are only a cache of the ledger balances;
+//   syncBalances() rewrites them from the ledger, nothing else should assign them directly.
+// - User accounts are liabilities (credit increases the balance), platform accounts are the other side.
+'use strict'
+
+const crypto = require('crypto')
+const LedgerEntry = require('../models/LedgerEntry')
+const Transaction = require('../models/Transaction')
+const { profitForDeposit } = require('./calcProfit')
+const { ensureCalendarLoaded } = require('./calendar')
+
+const ACCOUNTS = {
+  CAPITAL: 'user:capital',
+  NET_PROFIT: 'user:netProfit',
+  REFERRAL: 'user:referralEarnings',
+  WITHDRAWAL_HOLD: 'user:withdrawalHold', // funds reserved by pending withdrawal requests
+  CASH: 'platform:cash',
+  PROFIT_EXPENSE: 'platform:profitExpense',
+  REFERRAL_EXPENSE: 'platform:referralExpense',
+  ADJUSTMENTS: 'platform:adjustments',
+  PENALTY_INCOME: 'platform:penaltyIncome',
+  OPENING: 'platform:openingBalance'
+}
+
+// user balance field -> ledger account
+const BALANCE_ACCOUNTS = {
+  capital: ACCOUNTS.CAPITAL,
+  netProfit: ACCOUNTS.NET_PROFIT,
+  referralEarnings: ACCOUNTS.REFERRAL
+}
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2))
+}
+
+function debit(account, amount) {
+  return { account, debit: round2(amount), credit: 0 }
+}
+
+function credit(account, amount) {
+  return { account, debit: 0, credit: round2(amount) }
+}
+
+function userIdOf(user) {
+  return (user && user._id) ? user._id : user
+}
+
+function isDuplicateKey(err) {
+  return err && (err.code === 11000 || err.code === 11001)
+}
+
+/**
+ * postJournal({ journalId, user, type, transaction, createdBy, memo, lines }, session)
+ *
+ * Writes one balanced journal. Negative amounts flip to the other side and zero lines are dropped,
+ * so callers can pass signed deltas. Throws if the journal does not balance.
+ */
+async function postJournal({ journalId, user, type, transaction, createdBy, memo, lines }, session = null) {
+  const normalized = []
+  for (const l of lines || []) {
+    const amount = round2(Number(l.credit || 0) - Number(l.debit || 0))
+    if (amount === 0) continue
+    normalized.push(amount > 0 ? credit(l.account, amount) : debit(l.account, -amount))
+  }
+  if (normalized.length === 0) return []
+
+  const debits = normalized.reduce((s, l) => s + Math.round(l.debit * 100), 0)
+  const credits = normalized.reduce((s, l) => s + Math.round(l.credit * 100), 0)
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger journal (${type}): debits ${debits / 100} != credits ${credits / 100}`)
+  }
+
+  const id = journalId || crypto.randomUUID()
+  const docs = normalized.map((l, i) => ({
+    journalId: id,
+    line: i,
+    user: userIdOf(user),
+    account: l.account,
+    debit: l.debit,
+    credit: l.credit,
+    type,
+    transaction: transaction || undefined,
+    createdBy: createdBy || undefined,
+    memo
+  }))
+
+  return session ? LedgerEntry.insertMany(docs, { session }) : LedgerEntry.insertMany(docs)
+}
+
+/**
+ * getBalances(userId, session)
+ * Returns { capital, netProfit, referralEarnings } derived from the ledger.
+ */
+async function getBalances(userId, session = null) {
+  const agg = LedgerEntry.aggregate([
+    { $match: { user: userIdOf(userId), account: { $in: Object.values(BALANCE_ACCOUNTS) } } },
+    { $group: { _id: '$account', credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+  ])
+  if (session) agg.session(session)
+  const rows = await agg
+
+  const balances = { capital: 0, netProfit: 0, referralEarnings: 0 }
+  for (const [field, account] of Object.entries(BALANCE_ACCOUNTS)) {
+    const row = rows.find(r => r._id === account)
+    if (row) balances[field] = round2(row.credit - row.debit)
+  }
+  return balances
+}
+
+// Gross profit earned so far across all of the user's deposits (profitForDeposit caps each one at its window)
+function grossProfit(user, asOf = new Date()) {
+  let total = 0
+  for (const dep of user.deposits || []) {
+    try {
+      total += profitForDeposit(dep, asOf, { country: user.country, timeZone: user.timezone })
+    } catch (err) {
+      console.warn('ledger: profitForDeposit error for dep', dep._id || '(unknown)', err?.message || err)
+    }
+  }
+  return round2(total)
+}
+
+// Net amount of profit already accrued into user:netProfit, and how many accrual lines posted it
+// (entries are never deleted, so `lines` only ever grows and numbers the next accrual journal)
+async function postedAccrual(userId, session = null) {
+  const agg = LedgerEntry.aggregate([
+    { $match: { user: userIdOf(userId), account: ACCOUNTS.NET_PROFIT, type: 'profit-accrual' } },
+    { $group: { _id: null, credit: { $sum: '$credit' }, debit: { $sum: '$debit' }, lines: { $sum: 1 } } }
+  ])
+  if (session) agg.session(session)
+  const [row] = await agg
+  return row ? { posted: round2(row.credit - row.debit), lines: row.lines } : { posted: 0, lines: 0 }
+}
+
+/**
+ * postJournalOnce(journal, session)
+ *
+ * Posts a journal with a deterministic journalId unless it already exists; returns whether it posted.
+ * Without a session a lost race (duplicate key) is harmless and ignored. Inside a transaction an
+ * E11000 aborts the whole transaction, so the existence check runs in the session and a duplicate
+ * key is rethrown for the caller's withTransaction to deal with.
+ */
+async function postJournalOnce(journal, session = null) {
+  const existing = LedgerEntry.exists({ journalId: journal.journalId })
+  if (session) existing.session(session)
+  if (await existing) return false
+  try {
+    await postJournal(journal, session)
+    return true
+  } catch (err) {
+    if (session || !isDuplicateKey(err)) throw err
+    return false
+  }
+}
+
+/**
+ * withdrawalBreakdown(tx)
+ *
+ * How much of an approved withdrawal came out of netProfit vs referralEarnings. Uses the explicit
+ * details.approvedBreakdown written by the admin flow, otherwise infers it from the snapshot taken
+ * at request time (withdrawals take from net first, then referral). `inferred` tells which one was used.
+ */
+function withdrawalBreakdown(tx) {
+  const details = tx.details || {}
+  const approvedAmount = Number(details.approvedAmount ?? tx.amount ?? 0)
+
+  if (details.approvedBreakdown && typeof details.approvedBreakdown.fromNet === 'number') {
+    const fromNet = Number(details.approvedBreakdown.fromNet || 0)
+    const fromRef = Number(details.approvedBreakdown.fromRef ?? (approvedAmount - fromNet))
+    return { fromNet: round2(fromNet), fromRef: round2(fromRef), inferred: false }
+  }
+
+  const snapshot = details.snapshot || {}
+  const fromNet = Math.min(Number(snapshot.netProfit || 0), approvedAmount)
+  return { fromNet: round2(fromNet), fromRef: round2(approvedAmount - fromNet), inferred: true }
+}
+
+/**
+ * computeNetProfit(user)
+ *
+ * The pre-ledger way of deriving available net profit: gross profit of active deposits minus what
+ * approved withdrawals took from netProfit (explicit approvedBreakdown, else inferred from the
+ * snapshot taken at request time). Used to open the ledger for existing users.
+ */
+async function computeNetProfit(user) {
+  let totalProfit = 0
+  for (const dep of user.deposits || []) {
+    if (dep.status === 'active') {
+      try {
+        totalProfit += profitForDeposit(dep, new Date(), { country: user.country, timeZone: user.timezone })
+      } catch (err) {
+        console.warn('profitForDeposit error for dep', dep._id || '(unknown)', err?.message || err)
+      }
+    }
+  }
+
+  let withdrawnFromNet = 0
+  try {
+    const approvedWithdraws = await Transaction.find({ user: user._id, type: 'withdraw', status: 'approved' }).select('details amount').lean()
+
+    for (const tx of approvedWithdraws || []) {
+      withdrawnFromNet += withdrawalBreakdown(tx).fromNet
+    }
+  } catch (err) {
+    console.warn('computeNetProfit: could not read approved withdraws for inference', err?.message || err)
+  }
+
+  const availableNet = Number(totalProfit || 0) - withdrawnFromNet
+  return availableNet < 0 ? 0 : round2(availableNet)
+}
+
+/**
+ * ensureOpeningBalance(user, session)
+ *
+ * Users created before the ledger existed only have the stored balance fields. The first time
+ * such a user is touched we post their profit accrued so far, plus an opening journal that brings
+ * capital and referral earnings to the stored values and net profit to computeNetProfit(),
+ * i.e. exactly what their dashboard showed before.
+ */
+async function ensureOpeningBalance(user, session = null) {
+  const existsQuery = LedgerEntry.exists({ user: user._id })
+  if (session) existsQuery.session(session)
+  if (await existsQuery) return false
+
+  await ensureCalendarLoaded()
+  const accrued = grossProfit(user)
+  const stored = {
+    capital: round2(user.capital),
+    netProfit: await computeNetProfit(user),
+    referralEarnings: round2(user.referralEarnings)
+  }
+
+  // deterministic ids: if another request opened this user first, these are skipped
+  await postJournalOnce({
+    journalId: `profit-accrual:${user._id}:opening`,
+    user,
+    type: 'profit-accrual',
+    memo: 'Profit accrued before ledger opening',
+    lines: [debit(ACCOUNTS.PROFIT_EXPENSE, accrued), credit(ACCOUNTS.NET_PROFIT, accrued)]
+  }, session)
+
+  const lines = [
+    credit(ACCOUNTS.CAPITAL, stored.capital),
+    credit(ACCOUNTS.NET_PROFIT, stored.netProfit - accrued),
+    credit(ACCOUNTS.REFERRAL, stored.referralEarnings)
+  ]
+  const total = lines.reduce((s, l) => s + l.credit, 0)
+  lines.push(debit(ACCOUNTS.OPENING, total))
+
+  await postJournalOnce({
+    journalId: `opening-balance:${user._id}`,
+    user,
+    type: 'opening-balance',
+    memo: 'Balances carried over from user record',
+    lines
+  }, session)
+  return true
+}
+
+/**
+ * syncBalances(user, session)
+ * Copies the ledger balances onto the user document (does not save it).
+ */
+async function syncBalances(user, session = null) {
+  await ensureOpeningBalance(user, session)
+  const balances = await getBalances(user._id, session)
+  user.capital = balances.capital
+  user.netProfit = balances.netProfit
+  user.referralEarnings = balances.referralEarnings
+  return balances
+}
+
+/**
+ * accrueProfit(user, asOf)
+ *
+ * Posts the profit earned since the last accrual (gross profit minus what is already posted)
+ * and refreshes the cached balances. The journal id is numbered by the accrual lines already posted
+ * for the user: two concurrent calls get the same number, so only one delta is posted, and because
+ * the number only grows it is never reused when gross profit goes down (reversals, holidays, timezone).
+ */
+async function accrueProfit(user, asOf = new Date(), session = null) {
+  await ensureOpeningBalance(user, session)
+  await ensureCalendarLoaded()
+
+  const gross = grossProfit(user, asOf)
+  const { posted, lines } = await postedAccrual(user._id, session)
+  const delta = round2(gross - posted)
+
+  if (delta !== 0) {
+    await postJournalOnce({
+      journalId: `profit-accrual:${user._id}:seq:${lines}`,
+      user,
+      type: 'profit-accrual',
+      lines: [debit(ACCOUNTS.PROFIT_EXPENSE, delta), credit(ACCOUNTS.NET_PROFIT, delta)]
+    }, session)
+  }
+
+  return syncBalances(user, session)
+}
+
+// Approved deposit: cash received, user capital credited
+async function recordDeposit(user, amount, { transaction, createdBy } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    user,
+    type: 'deposit',
+    transaction,
+    createdBy,
+    lines: [debit(ACCOUNTS.CASH, amount), credit(ACCOUNTS.CAPITAL, amount)]
+  }, session)
+  return syncBalances(user, session)
+}
+
+// Approved withdrawal: profit and/or referral balances debited, cash paid out
+async function recordWithdrawal(user, { fromNet = 0, fromRef = 0 }, { transaction, createdBy } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    user,
+    type: 'withdrawal',
+    transaction,
+    createdBy,
+    lines: [
+      debit(ACCOUNTS.NET_PROFIT, fromNet),
+      debit(ACCOUNTS.REFERRAL, fromRef),
+      credit(ACCOUNTS.CASH, Number(fromNet) + Number(fromRef))
+    ]
+  }, session)
+  return syncBalances(user, session)
+}
+
+// Pending withdrawal request: the amount moves from profit / referral into the hold account, so it is
+// no longer available while the request waits for an admin (one hold per request)
+async function holdWithdrawal(user, { fromNet = 0, fromRef = 0 }, { transaction, createdBy } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    journalId: `withdrawal-hold:${transaction}`,
+    user,
+    type: 'withdrawal-hold',
+    transaction,
+    createdBy,
+    lines: [
+      debit(ACCOUNTS.NET_PROFIT, fromNet),
+      debit(ACCOUNTS.REFERRAL, fromRef),
+      credit(ACCOUNTS.WITHDRAWAL_HOLD, Number(fromNet) + Number(fromRef))
+    ]
+  }, session)
+  return syncBalances(user, session)
+}
+
+/**
+ * releaseWithdrawalHold(user, transactionId, { createdBy, memo }, session)
+ * Returns the funds held for a withdrawal request to the balances they came from. A no-op for requests
+ * made before holds existed; the fixed journal id means a hold can only be released once.
+ */
+async function releaseWithdrawalHold(user, transactionId, { createdBy, memo } = {}, session = null) {
+  const query = LedgerEntry.find({ user: userIdOf(user), transaction: transactionId, type: 'withdrawal-hold' }).lean()
+  if (session) query.session(session)
+  const entries = await query
+  if (entries.length > 0) {
+    await postJournal({
+      journalId: `withdrawal-release:${transactionId}`,
+      user,
+      type: 'withdrawal-release',
+      transaction: transactionId,
+      createdBy,
+      memo,
+      lines: entries.map(e => ({ account: e.account, debit: e.credit, credit: e.debit }))
+    }, session)
+  }
+  return syncBalances(user, session)
+}
+
+// Total currently reserved by the user's pending withdrawal requests
+async function getHeldBalance(userId, session = null) {
+  const agg = LedgerEntry.aggregate([
+    { $match: { user: userIdOf(userId), account: ACCOUNTS.WITHDRAWAL_HOLD } },
+    { $group: { _id: null, credit: { $sum: '$credit' }, debit: { $sum: '$debit' } } }
+  ])
+  if (session) agg.session(session)
+  const [row] = await agg
+  return row ? round2(row.credit - row.debit) : 0
+}
+
+// Reinvestment: profit and/or referral balances moved into capital for a new deposit
+async function recordReinvestment(user, { fromNet = 0, fromRef = 0 }, { transaction, createdBy } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    user,
+    type: 'reinvest',
+    transaction,
+    createdBy,
+    lines: [
+      debit(ACCOUNTS.NET_PROFIT, fromNet),
+      debit(ACCOUNTS.REFERRAL, fromRef),
+      credit(ACCOUNTS.CAPITAL, Number(fromNet) + Number(fromRef))
+    ]
+  }, session)
+  return syncBalances(user, session)
+}
+
+// Commission credited to a referrer for a referred user's deposit
+async function recordReferralCommission(referrer, amount, { transaction, createdBy, memo } = {}, session = null) {
+  await ensureOpeningBalance(referrer, session)
+  await postJournal({
+    user: referrer,
+    type: 'referral-commission',
+    transaction,
+    createdBy,
+    memo,
+    lines: [debit(ACCOUNTS.REFERRAL_EXPENSE, amount), credit(ACCOUNTS.REFERRAL, amount)]
+  }, session)
+  return syncBalances(referrer, session)
+}
+
+// Matured deposit: capital returned to the investor
+async function recordMaturity(user, amount, { transaction, memo } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    user,
+    type: 'maturity',
+    transaction,
+    memo,
+    lines: [debit(ACCOUNTS.CAPITAL, amount), credit(ACCOUNTS.CASH, amount)]
+  }, session)
+  return syncBalances(user, session)
+}
+
+// Early termination: capital leaves the deposit, the penalty is kept by the platform and the
+// remainder is credited to netProfit so it can be withdrawn like profit
+async function recordEarlyTermination(user, { amount, penalty = 0 }, { transaction, createdBy } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  await postJournal({
+    user,
+    type: 'early-termination',
+    transaction,
+    createdBy,
+    lines: [
+      debit(ACCOUNTS.CAPITAL, amount),
+      credit(ACCOUNTS.PENALTY_INCOME, penalty),
+      credit(ACCOUNTS.NET_PROFIT, Number(amount) - Number(penalty))
+    ]
+  }, session)
+  return syncBalances(user, session)
+}
+
+/**
+ * reverseTransaction(user, transactionId, { fallback, createdBy, memo }, session)
+ *
+ * Posts the mirror image of every journal line this user has for `transactionId`, undoing its effect.
+ * Transactions approved before the ledger existed have no lines; `fallback` (signed lines, as for
+ * postJournal) is posted instead. The journal id is fixed per transaction and user, so a reversal
+ * can only ever be posted once.
+ */
+async function reverseTransaction(user, transactionId, { fallback = [], createdBy, memo } = {}, session = null) {
+  await ensureOpeningBalance(user, session)
+  const query = LedgerEntry.find({ user: userIdOf(user), transaction: transactionId, type: { $ne: 'reversal' } }).lean()
+  if (session) query.session(session)
+  const entries = await query
+
+  const lines = entries.length > 0
+    ? entries.map(e => ({ account: e.account, debit: e.credit, credit: e.debit }))
+    : fallback
+  await postJournal({
+    journalId: `reversal:${transactionId}:${userIdOf(user)}`,
+    user,
+    type: 'reversal',
+    transaction: transactionId,
+    createdBy,
+    memo,
+    lines
+  }, session)
+  return syncBalances(user, session)
+}
+
+/**
+ * recordAdjustment(user, targets, { createdBy, memo }, session)
+ *
+ * Manual admin correction. `targets` holds the desired { capital, netProfit, referralEarnings }
+ * (any subset); the difference to the current ledger balance is posted against platform:adjustments.
+ */
+async function recordAdjustment(user, targets, { createdBy, memo } = {}, session = null) {
+  const current = await syncBalances(user, session)
+  const lines = []
+  let total = 0
+  for (const [field, account] of Object.entries(BALANCE_ACCOUNTS)) {
+    if (typeof targets[field] !== 'number' || Number.isNaN(targets[field])) continue
+    const delta = round2(targets[field] - current[field])
+    if (delta === 0) continue
+    lines.push(credit(account, delta))
+    total += delta
+  }
+  if (lines.length === 0) return current
+
+  lines.push(debit(ACCOUNTS.ADJUSTMENTS, total))
+  await postJournal({ user, type: 'adjustment', createdBy, memo, lines }, session)
+  return syncBalances(user, session)
+}
+
+/**
+ * getEntries(userId, { limit })
+ * Ledger lines for one user, newest first (admin statement view).
+ */
+async function getEntries(userId, { limit = 500 } = {}) {
+  return LedgerEntry.find({ user: userIdOf(userId) })
+    .sort({ createdAt: -1, journalId: 1, line: 1 })
+    .limit(limit)
+    .lean()
+}
+
+module.exports = {
+  ACCOUNTS,
+  BALANCE_ACCOUNTS,
+  withdrawalBreakdown,
+  computeNetProfit,
+  postJournal,
+  getBalances,
+  getEntries,
+  ensureOpeningBalance,
+  syncBalances,
+  accrueProfit,
+  recordDeposit,
+  recordWithdrawal,
+  holdWithdrawal,
+  releaseWithdrawalHold,
+  getHeldBalance,
+  recordReinvestment,
+  recordReferralCommission,
+  recordMaturity,
+  recordEarlyTermination,
+  reverseTransaction,
+  recordAdjustment
+}
@@ -0,0 +1,24 @@
+// utils/rateProviders/file.js
+// Reads rates from a JSON file (EXCHANGE_RATES_FILE, default config/exchangeRates.json):
+//   { "asOf": "2026-10-18T00:00:00Z", "rates": { "ZAR": 18.2, "NGN": 1530 } }
+// Handy for development, or for feeding rates exported by another system.
+const fs = require('fs/promises')
+const path = require('path')
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'config', 'exchangeRates.json')
+
+async function fetchRates(codes = []) {
+  const file = process.env.EXCHANGE_RATES_FILE || DEFAULT_FILE
+  const data = JSON.parse(await fs.readFile(file, 'utf8'))
+  const source = (data && data.rates) || {}
+
+  const rates = {}
+  for (const code of codes) {
+    const rate = Number(source[code])
+    if (rate > 0) rates[code] = rate
+  }
+  const asOf = data.asOf ? new Date(data.asOf) : new Date()
+  return { rates, asOf: Number.isNaN(asOf.getTime()) ? new Date() : asOf }
+}
+
+module.exports = { name: 'file', fetchRates }
@@ -0,0 +1,30 @@
+// utils/rateProviders/index.js
+// Exchange-rate providers used by the exchange-rates job (jobs/exchangeRates.js).
+//
+// A provider is { name, fetchRates(codes) } where fetchRates resolves to
+// { rates: { ZAR: 18.2, ... }, asOf: Date } - units of each currency per 1 USD. Codes the provider
+// does not know are simply left out. Select one with EXCHANGE_RATE_PROVIDER (file | stub); without it
+// the job does nothing and the admin-entered rates are used as they are.
+const fileProvider = require('./file')
+const stubProvider = require('./stub')
+
+const providers = {
+  file: fileProvider,
+  stub: stubProvider
+}
+
+// Add another adapter (e.g. an HTTP API) under `name`
+function registerProvider(name, provider) {
+  if (!provider || typeof provider.fetchRates !== 'function') throw new Error(`Rate provider ${name} must implement fetchRates(codes)`)
+  providers[name] = { name, ...provider }
+}
+
+// The configured provider, or null when none is configured
+function getProvider(name = process.env.EXCHANGE_RATE_PROVIDER) {
+  if (!name || name === 'none') return null
+  const provider = providers[name]
+  if (!provider) throw new Error(`Unknown exchange rate provider: ${name}`)
+  return provider
+}
+
+module.exports = { registerProvider, getProvider }
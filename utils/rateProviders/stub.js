@@ -0,0 +1,18 @@
+// utils/rateProviders/stub.js
+// Fixed rates for local development and tests: never touches the network or the filesystem.
+const STUB_RATES = {
+  ZAR: 17,
+  NGN: 1500,
+  GHS: 12.5,
+  PHP: 58
+}
+
+async function fetchRates(codes = []) {
+  const rates = {}
+  for (const code of codes) {
+    if (STUB_RATES[code]) rates[code] = STUB_RATES[code]
+  }
+  return { rates, asOf: new Date() }
+}
+
+module.exports = { name: 'stub', fetchRates }
@@ -0,0 +1,169 @@
+// utils/reconciliation.js
+// Balance reconciliation: recompute what each user's balances should be from first principles
+// (approved deposits, profitForDeposit, approved withdrawals, referral snapshots) and compare
+// with the stored fields and the ledger. Read-only: nothing here writes to the database.
+'use strict'
+
+const User = require('../models/User')
+const Transaction = require('../models/Transaction')
+const LedgerEntry = require('../models/LedgerEntry')
+const { profitForDeposit } = require('./calcProfit')
+const ledger = require('./ledger')
+const { ensureCalendarLoaded } = require('./calendar')
+
+const FIELDS = ['capital', 'netProfit', 'referralEarnings']
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2))
+}
+
+/**
+ * expectedBalances(user, approvedWithdraws, asOf, { terminations, commissions, pendingWithdraws })
+ *
+ * - capital: sum of active deposit amounts
+ * - netProfit: profit earned on every deposit (capped at its window), plus capital returned by early
+ *   terminations, minus what withdrawals and reinvestments took from net
+ * - referralEarnings: level 1 commission recorded in the referral snapshots, plus deeper-level
+ *   `referral-commission` transactions, minus what withdrawals and reinvestments took from referral
+ * - both profit and referral also exclude what pending withdrawals hold (details.hold)
+ *
+ * Also returns the withdrawals whose breakdown had to be inferred, and those where the explicit
+ * approvedBreakdown disagrees with what the snapshot heuristic would have inferred.
+ */
+function expectedBalances(user, approvedWithdraws = [], asOf = new Date(), { terminations = [], commissions = [], pendingWithdraws = [] } = {}) {
+  let capital = 0
+  let grossProfit = 0
+  for (const dep of user.deposits || []) {
+    if (dep.status === 'active') capital += Number(dep.amount || 0)
+    try {
+      grossProfit += profitForDeposit(dep, asOf, { country: user.country, timeZone: user.timezone })
+    } catch (err) {
+      console.warn('reconciliation: profitForDeposit error', err?.message || err)
+    }
+  }
+
+  const terminationPayout = terminations.reduce((s, tx) => s + Number((tx.details || {}).payout || 0), 0)
+  // level 1 is already counted in the snapshot entries
+  const commission = (user.referrals || []).reduce((s, r) => s + Number(r.commissionEarned || 0), 0) +
+    commissions.filter(tx => Number((tx.details || {}).level) > 1).reduce((s, tx) => s + Number(tx.amount || 0), 0)
+
+  let fromNet = 0
+  let fromRef = 0
+  for (const tx of pendingWithdraws) {
+    const hold = (tx.details || {}).hold
+    if (!hold) continue // requested before holds existed
+    fromNet += Number(hold.fromNet || 0)
+    fromRef += Number(hold.fromRef || 0)
+  }
+  const inferred = []
+  const heuristicMismatches = []
+  for (const tx of approvedWithdraws) {
+    const breakdown = ledger.withdrawalBreakdown(tx)
+    fromNet += breakdown.fromNet
+    fromRef += breakdown.fromRef
+    if (breakdown.inferred) {
+      inferred.push(tx._id)
+    } else if (tx.details && tx.details.snapshot) {
+      const heuristic = ledger.withdrawalBreakdown({ ...tx, details: { ...tx.details, approvedBreakdown: undefined } })
+      if (heuristic.fromNet !== breakdown.fromNet) {
+        heuristicMismatches.push({ txId: tx._id, explicitFromNet: breakdown.fromNet, inferredFromNet: heuristic.fromNet })
+      }
+    }
+  }
+
+  return {
+    balances: {
+      capital: round2(capital),
+      netProfit: round2(Math.max(0, grossProfit + terminationPayout - fromNet)),
+      referralEarnings: round2(Math.max(0, commission - fromRef))
+    },
+    inferred,
+    heuristicMismatches
+  }
+}
+
+/**
+ * reconcileUser(user, { tolerance, asOf })
+ * Returns a report row for one user; `drift` lists every field whose stored value or ledger balance
+ * differs from the expected value by more than `tolerance`.
+ */
+async function reconcileUser(user, { tolerance = 0.01, asOf = new Date() } = {}) {
+  await ensureCalendarLoaded()
+  const approvedWithdraws = await Transaction.find({ user: user._id, type: { $in: ['withdraw', 'reinvest'] }, status: 'approved' })
+    .select('details amount')
+    .lean()
+  const terminations = await Transaction.find({ user: user._id, type: 'early-termination', status: 'approved' })
+    .select('details amount')
+    .lean()
+  const commissions = await Transaction.find({ user: user._id, type: 'referral-commission', status: 'approved' })
+    .select('details amount')
+    .lean()
+  const pendingWithdraws = await Transaction.find({ user: user._id, type: 'withdraw', status: { $in: ['pending', 'awaiting_second_approval'] } })
+    .select('details amount')
+    .lean()
+
+  const { balances: expected, inferred, heuristicMismatches } = expectedBalances(user, approvedWithdraws, asOf, { terminations, commissions, pendingWithdraws })
+  const stored = {
+    capital: round2(user.capital),
+    netProfit: round2(user.netProfit),
+    referralEarnings: round2(user.referralEarnings)
+  }
+  const hasLedger = await LedgerEntry.exists({ user: user._id })
+  const ledgerBalances = hasLedger ? await ledger.getBalances(user._id) : null
+
+  const drift = []
+  for (const field of FIELDS) {
+    const storedDiff = round2(stored[field] - expected[field])
+    const ledgerDiff = ledgerBalances ? round2(ledgerBalances[field] - expected[field]) : null
+    if (Math.abs(storedDiff) > tolerance || (ledgerDiff !== null && Math.abs(ledgerDiff) > tolerance)) {
+      drift.push({
+        field,
+        expected: expected[field],
+        stored: stored[field],
+        ledger: ledgerBalances ? ledgerBalances[field] : null,
+        storedDiff,
+        ledgerDiff
+      })
+    }
+  }
+
+  return {
+    userId: user._id,
+    email: user.email,
+    expected,
+    stored,
+    ledger: ledgerBalances,
+    drift,
+    inferredWithdrawals: inferred,
+    heuristicMismatches
+  }
+}
+
+/**
+ * reconcileAll({ tolerance, includeClean, asOf })
+ * Walks every non-deleted user. By default only users with drift or heuristic mismatches are returned.
+ */
+async function reconcileAll({ tolerance = 0.01, includeClean = false, asOf = new Date() } = {}) {
+  const rows = []
+  let checked = 0
+  const cursor = User.find({ deleted: { $ne: true } })
+    .select('email country timezone capital netProfit referralEarnings deposits referrals')
+    .lean()
+    .cursor()
+
+  for await (const user of cursor) {
+    checked++
+    const row = await reconcileUser(user, { tolerance, asOf })
+    if (includeClean || row.drift.length > 0 || row.heuristicMismatches.length > 0) rows.push(row)
+  }
+
+  return {
+    generatedAt: new Date(),
+    tolerance,
+    checked,
+    drifted: rows.filter(r => r.drift.length > 0).length,
+    users: rows
+  }
+}
+
+module.exports = { expectedBalances, reconcileUser, reconcileAll }
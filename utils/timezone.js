@@ -0,0 +1,104 @@
+// utils/timezone.js
+// Small IANA timezone helpers built on Intl (no extra dependency).
+// Server code must never use getDay()/setHours() for business rules: on Vercel the process runs in UTC,
+// so a South African "Monday" would start two hours late. Use these with the platform timezone instead.
+'use strict'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+const formatters = new Map()
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+/**
+ * zonedParts(date, timeZone)
+ * Wall-clock fields of `date` in `timeZone`: { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+function zonedParts(date, timeZone) {
+  const parts = {}
+  for (const p of formatterFor(timeZone).formatToParts(new Date(date))) parts[p.type] = p.value
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  }
+}
+
+// Offset (ms) of `timeZone` from UTC at instant `date`
+function offsetMs(date, timeZone) {
+  const d = new Date(date)
+  const p = zonedParts(d, timeZone)
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second)
+  return asUtc - (d.getTime() - d.getMilliseconds())
+}
+
+// UTC instant of a wall-clock time in `timeZone` (month 1-12; out-of-range day/hour values roll over like Date.UTC)
+function zonedTime(year, month, day, hour, minute, second, ms, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms)
+  // two passes settle the offset across DST transitions
+  let guess = wall - offsetMs(wall, timeZone)
+  guess = wall - offsetMs(guess, timeZone)
+  return new Date(guess)
+}
+
+// Midnight (start of the local day) of `date` in `timeZone`
+function startOfDay(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  return zonedTime(p.year, p.month, p.day, 0, 0, 0, 0, timeZone)
+}
+
+// `date` moved by `days` calendar days, keeping the local wall-clock time in `timeZone`
+function addDays(date, days, timeZone) {
+  const d = new Date(date)
+  const p = zonedParts(d, timeZone)
+  return zonedTime(p.year, p.month, p.day + Number(days), p.hour, p.minute, p.second, d.getMilliseconds(), timeZone)
+}
+
+// Midnight starting the local day after `date`
+function startOfNextDay(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  return zonedTime(p.year, p.month, p.day + 1, 0, 0, 0, 0, timeZone)
+}
+
+// YYYY-MM-DD of `date` in `timeZone`
+function dateKey(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`
+}
+
+// Whole local days since 1970-01-01 in `timeZone` (used by interval schedules)
+function epochDay(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  return Math.floor(Date.UTC(p.year, p.month - 1, p.day) / DAY_MS)
+}
+
+module.exports = { isValidTimeZone, zonedParts, zonedTime, startOfDay, startOfNextDay, addDays, dateKey, epochDay }
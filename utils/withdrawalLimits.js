@@ -0,0 +1,129 @@
+// utils/withdrawalLimits.js
+// Withdrawal limits: per-transaction min/max and daily/weekly/monthly caps, taken from the role's
+// limits in AdminSettings with per-user overrides. Pending and approved withdrawals both count
+// towards the caps, so a user cannot queue several requests past a cap before an admin looks at them.
+const AdminSettings = require('../models/AdminSettings')
+const Transaction = require('../models/Transaction')
+const tz = require('./timezone')
+const { getPlatformTimeZone } = require('./calcProfit')
+
+const LIMIT_FIELDS = ['minAmount', 'maxAmount', 'dailyCap', 'weeklyCap', 'monthlyCap']
+const PERIODS = [
+  { cap: 'dailyCap', period: 'day', label: 'daily', when: 'today' },
+  { cap: 'weeklyCap', period: 'week', label: 'weekly', when: 'this week' },
+  { cap: 'monthlyCap', period: 'month', label: 'monthly', when: 'this month' }
+]
+
+function round2(n) {
+  return Number(Number(n || 0).toFixed(2))
+}
+
+function isSet(v) {
+  return v !== null && v !== undefined
+}
+
+// Limits for `user`: the role's settings (agents have their own, everyone else uses `user`) with user overrides on top
+function resolveLimits(user, settings) {
+  const byRole = (settings.withdrawalLimits || {})[user.role === 'agent' ? 'agent' : 'user'] || {}
+  const overrides = user.withdrawalLimits || {}
+  const limits = {}
+  for (const field of LIMIT_FIELDS) {
+    limits[field] = isSet(overrides[field]) ? overrides[field] : (isSet(byRole[field]) ? byRole[field] : null)
+  }
+  return limits
+}
+
+// Start of the current day, week (Monday) and month in `timeZone`
+function periodStarts(now, timeZone) {
+  const p = tz.zonedParts(now, timeZone)
+  return {
+    day: tz.zonedTime(p.year, p.month, p.day, 0, 0, 0, 0, timeZone),
+    week: tz.zonedTime(p.year, p.month, p.day - ((p.weekday + 6) % 7), 0, 0, 0, 0, timeZone),
+    month: tz.zonedTime(p.year, p.month, 1, 0, 0, 0, 0, timeZone)
+  }
+}
+
+/**
+ * getWithdrawalLimits(user, now)
+ * { limits, used: { day, week, month }, remaining: { day, week, month }, timezone }
+ * `remaining` is null for a period without a cap.
+ */
+async function getWithdrawalLimits(user, now = new Date()) {
+  const settings = await AdminSettings.getSettings()
+  const timeZone = settings.timezone || getPlatformTimeZone()
+  const limits = resolveLimits(user, settings)
+  const starts = periodStarts(now, timeZone)
+
+  const txs = await Transaction.find({
+    user: user._id,
+    type: 'withdraw',
+    status: { $in: ['pending', 'awaiting_second_approval', 'approved'] },
+    createdAt: { $gte: starts.month < starts.week ? starts.month : starts.week }
+  }).select('amount details status createdAt').lean()
+
+  const used = { day: 0, week: 0, month: 0 }
+  for (const tx of txs) {
+    const amount = tx.status === 'approved' ? Number((tx.details || {}).approvedAmount ?? tx.amount) : Number(tx.amount)
+    for (const period of Object.keys(used)) {
+      if (tx.createdAt >= starts[period]) used[period] += amount
+    }
+  }
+
+  const remaining = {}
+  for (const { cap, period } of PERIODS) {
+    used[period] = round2(used[period])
+    remaining[period] = isSet(limits[cap]) ? round2(Math.max(0, limits[cap] - used[period])) : null
+  }
+  return { limits, used, remaining, timezone: timeZone }
+}
+
+/**
+ * checkWithdrawalLimits(user, amount, now)
+ * Returns { ok: true, info } or { ok: false, message, info } with a message that says what is left.
+ */
+async function checkWithdrawalLimits(user, amount, now = new Date()) {
+  const info = await getWithdrawalLimits(user, now)
+  const { limits, remaining } = info
+  const amt = Number(amount)
+
+  if (isSet(limits.minAmount) && amt < limits.minAmount) {
+    return { ok: false, message: `Minimum withdrawal is $${limits.minAmount}`, info }
+  }
+  if (isSet(limits.maxAmount) && amt > limits.maxAmount) {
+    return { ok: false, message: `Maximum withdrawal per request is $${limits.maxAmount}`, info }
+  }
+  for (const { cap, period, label, when } of PERIODS) {
+    if (remaining[period] !== null && amt > remaining[period]) {
+      return {
+        ok: false,
+        message: `This exceeds your ${label} withdrawal limit of $${limits[cap]}. You can withdraw up to $${remaining[period]} more ${when}.`,
+        info
+      }
+    }
+  }
+  return { ok: true, info }
+}
+
+/**
+ * validateLimitsInput(body)
+ * Returns { limits } (only the fields present; null clears a limit) or { error }.
+ */
+function validateLimitsInput(body = {}) {
+  const limits = {}
+  for (const field of LIMIT_FIELDS) {
+    if (body[field] === undefined) continue
+    if (body[field] === null || body[field] === '') {
+      limits[field] = null
+      continue
+    }
+    const n = Number(body[field])
+    if (Number.isNaN(n) || n < 0) return { error: `${field} must be a non-negative number or null` }
+    limits[field] = n
+  }
+  const min = limits.minAmount
+  const max = limits.maxAmount
+  if (isSet(min) && isSet(max) && max < min) return { error: 'maxAmount must be greater than or equal to minAmount' }
+  return { limits }
+}
+
+module.exports = { LIMIT_FIELDS, resolveLimits, getWithdrawalLimits, checkWithdrawalLimits, validateLimitsInput }
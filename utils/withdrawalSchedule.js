@@ -0,0 +1,100 @@
+// utils/withdrawalSchedule.js
+// When withdrawals are open, from AdminSettings: the day schedule (daysOfWeek or interval), an optional
+// time-of-day window on those days, one-off blackout dates and the "withdrawals paused" switch.
+// All day and time boundaries are taken in the platform timezone.
+const tz = require('./timezone')
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/
+// how far ahead to look for the next opening (covers any interval / blackout combination in practice)
+const MAX_LOOKAHEAD_DAYS = 400
+
+// 'HH:MM' -> { hour, minute }, or null
+function parseTime(value) {
+  const m = TIME_RE.exec(value || '')
+  return m ? { hour: Number(m[1]), minute: Number(m[2]) } : null
+}
+
+function blackoutFor(settings, dayStart, timeZone) {
+  const key = tz.dateKey(dayStart, timeZone)
+  return (settings.withdrawalBlackoutDates || []).find(b => b.date === key) || null
+}
+
+// Whether the day schedule allows `dayStart` (blackouts not considered)
+function scheduledDay(settings, dayStart, timeZone) {
+  if (settings.withdrawalScheduleType === 'daysOfWeek') {
+    return (settings.withdrawalDaysOfWeek || []).includes(tz.zonedParts(dayStart, timeZone).weekday)
+  }
+  if (settings.withdrawalScheduleType === 'interval') {
+    return tz.epochDay(dayStart, timeZone) % Math.max(1, settings.withdrawalIntervalDays || 1) === 0
+  }
+  return true
+}
+
+/**
+ * windowFor(settings, dayStart, timeZone)
+ * { opensAt, closesAt } of the withdrawal window on the local day starting at `dayStart`, or null.
+ */
+function windowFor(settings, dayStart, timeZone) {
+  if (!scheduledDay(settings, dayStart, timeZone) || blackoutFor(settings, dayStart, timeZone)) return null
+  const p = tz.zonedParts(dayStart, timeZone)
+  const hours = settings.withdrawalHours || {}
+  const start = parseTime(hours.start)
+  const end = parseTime(hours.end)
+  const opensAt = start ? tz.zonedTime(p.year, p.month, p.day, start.hour, start.minute, 0, 0, timeZone) : dayStart
+  const closesAt = end ? tz.zonedTime(p.year, p.month, p.day, end.hour, end.minute, 0, 0, timeZone) : tz.startOfNextDay(dayStart, timeZone)
+  return closesAt > opensAt ? { opensAt, closesAt } : null
+}
+
+/**
+ * scheduleStatus(settings, now, timeZone)
+ *
+ * - open: withdrawals can be requested right now
+ * - allowedToday: today is a withdrawal day (may be outside its hours)
+ * - opensAt / closesAt: today's window, if any
+ * - nextOpenAt: start of the next window after `now` (null while paused or if none is scheduled)
+ * - paused / pausedMessage, blackout (today's blackout entry, if any)
+ */
+function scheduleStatus(settings, now = new Date(), timeZone) {
+  const today = tz.startOfDay(now, timeZone)
+  const blackout = blackoutFor(settings, today, timeZone)
+
+  if (settings.withdrawalsPaused) {
+    return {
+      open: false,
+      allowedToday: false,
+      paused: true,
+      pausedMessage: settings.withdrawalsPausedMessage || '',
+      blackout,
+      opensAt: null,
+      closesAt: null,
+      nextOpenAt: null
+    }
+  }
+
+  const todayWindow = windowFor(settings, today, timeZone)
+  const open = Boolean(todayWindow && now >= todayWindow.opensAt && now < todayWindow.closesAt)
+
+  let nextOpenAt = null
+  let day = today
+  for (let i = 0; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    const w = windowFor(settings, day, timeZone)
+    if (w && w.opensAt > now) {
+      nextOpenAt = w.opensAt
+      break
+    }
+    day = tz.startOfNextDay(day, timeZone)
+  }
+
+  return {
+    open,
+    allowedToday: Boolean(todayWindow),
+    paused: false,
+    pausedMessage: '',
+    blackout,
+    opensAt: todayWindow ? todayWindow.opensAt : null,
+    closesAt: todayWindow ? todayWindow.closesAt : null,
+    nextOpenAt
+  }
+}
+
+module.exports = { TIME_RE, parseTime, windowFor, scheduleStatus }